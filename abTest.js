@@ -0,0 +1,25 @@
+import crypto from "node:crypto";
+
+// A/B test broadcasts carry `variants: [{ key, payload, payloadPreview }]` and
+// `abTest: { seed, testShare, keys }`. A rollout of the winner carries
+// `rolloutOf: { broadcastId, seed, testShare, variant }` and only reaches users the test held back.
+export const VARIANT_KEYS = ["A", "B", "C", "D"];
+export const MAX_VARIANTS = VARIANT_KEYS.length;
+export const TEST_SHARE_OPTIONS = [10, 20, 50]; // percent of the audience used for the test
+
+// Stable position of a user in [0, 1); the same seed always gives the same split.
+export function splitBucket(seed, userId) {
+    const h = crypto.createHash("sha256").update(`${seed}:${userId}`).digest();
+    return h.readUInt32BE(0) / 0x100000000;
+}
+
+// Variant key for the user, or null when the user is held back for the rollout.
+export function variantForUser(abTest, userId) {
+    const x = splitBucket(abTest.seed, userId);
+    if (x >= abTest.testShare) return null;
+    return abTest.keys[Math.floor((x / abTest.testShare) * abTest.keys.length)] || null;
+}
+
+export function isHeldBack(split, userId) {
+    return splitBucket(split.seed, userId) >= split.testShare;
+}
@@ -0,0 +1,106 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { REFERRAL_SOURCE } from "./referrals.js";
+
+// Deep links: t.me/<bot>?start=<source> or ?start=<source>__g<gameId> (the game opens in the mini app).
+// Invite links (start=ref<userId>) are attributed to REFERRAL_SOURCE and carry the referrer id.
+// Telegram allows A-Z, a-z, 0-9, "_" and "-" in the start parameter, up to 64 chars.
+// Users get startedAt (first /start), firstSource/firstSourceAt (first attributed /start) and
+// lastSource/lastSourceAt (latest one).
+// Daily counts live in startSourceDays/<YYYY-MM-DD> as { starts: { <source>: n }, signups: { <source>: n } };
+// signups without a start parameter are counted under DIRECT_SOURCE.
+export const DIRECT_SOURCE = "(direct)";
+export const MAX_REPORT_DAYS = 90;
+
+const DAYS_COLLECTION = "startSourceDays";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayKey(ts) {
+    return new Date(ts).toISOString().slice(0, 10);
+}
+
+// "/start fb_ads__g123" -> { source: "fb_ads", gameId: "123", referrerId: null };
+// "/start ref42" -> { source: "referral", gameId: null, referrerId: 42 }; null without a usable parameter.
+export function parseStartPayload(text) {
+    const m = String(text || "").match(/^\/start(?:@\w+)?\s+([A-Za-z0-9_-]{1,64})\s*$/);
+    if (!m) return null;
+
+    const g = m[1].match(/^(.*?)(?:^|__)g(\d{1,20})$/);
+    const source = g ? g[1] : m[1];
+    const gameId = g ? g[2] : null;
+    if (!source && !gameId) return null;
+
+    const ref = source.match(/^ref(\d{1,20})$/);
+    const referrerId = ref ? Number(ref[1]) : null;
+    if (ref && Number.isSafeInteger(referrerId)) return { source: REFERRAL_SOURCE, gameId, referrerId };
+    return { source: source || null, gameId, referrerId: null };
+}
+
+// Stores the touch on users/<id> and bumps the daily counts. A signup is the user's first /start,
+// which sets users/<id>.startedAt; users active before startedAt existed already have updatedAt
+// (see addUser). Must run before addUser for this /start. Returns { isNew }.
+export async function recordStartAttribution(userId, start, now = Date.now()) {
+    const firestore = db();
+    const userRef = firestore.collection("users").doc(String(userId));
+    const source = start?.source || null;
+
+    const isNew = await firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(userRef);
+        const u = snap.data();
+        const isNew = !u?.startedAt && !u?.updatedAt;
+
+        const at = new Date(now).toISOString();
+        const patch = isNew ? { startedAt: at } : {};
+        if (source) {
+            patch.lastSource = source;
+            patch.lastSourceAt = at;
+            if (start.gameId) patch.lastStartGameId = start.gameId;
+            if (!u?.firstSource) {
+                patch.firstSource = source;
+                patch.firstSourceAt = at;
+            }
+        }
+        if (Object.keys(patch).length) tx.set(userRef, patch, { merge: true });
+        return isNew;
+    });
+
+    if (!source && !isNew) return { isNew };
+
+    const patch = { day: dayKey(now) };
+    if (source) patch.starts = { [source]: FieldValue.increment(1) };
+    if (isNew) patch.signups = { [source || DIRECT_SOURCE]: FieldValue.increment(1) };
+    await firestore.collection(DAYS_COLLECTION).doc(patch.day).set(patch, { merge: true });
+
+    return { isNew };
+}
+
+// Last `days` UTC days (today included), oldest first, plus per-source totals sorted by signups.
+export async function loadSourceReport(days = 30, now = Date.now()) {
+    const n = Math.min(Math.max(Math.floor(Number(days)) || 30, 1), MAX_REPORT_DAYS);
+    const firestore = db();
+
+    const keys = [];
+    for (let i = n - 1; i >= 0; i--) keys.push(dayKey(now - i * DAY_MS));
+    const snaps = await firestore.getAll(...keys.map((k) => firestore.collection(DAYS_COLLECTION).doc(k)));
+
+    const totals = new Map();
+    const daily = snaps.map((s, i) => {
+        const d = s.exists ? s.data() : {};
+        const signups = d.signups || {};
+        const starts = d.starts || {};
+        for (const [source, c] of Object.entries(signups)) {
+            const t = totals.get(source) || { source, signups: 0, starts: 0 };
+            t.signups += Number(c) || 0;
+            totals.set(source, t);
+        }
+        for (const [source, c] of Object.entries(starts)) {
+            const t = totals.get(source) || { source, signups: 0, starts: 0 };
+            t.starts += Number(c) || 0;
+            totals.set(source, t);
+        }
+        return { day: keys[i], signups, starts };
+    });
+
+    const sources = [...totals.values()].sort((a, b) => b.signups - a.signups || b.starts - a.starts);
+    return { days: n, from: keys[0], to: keys[keys.length - 1], sources, daily };
+}
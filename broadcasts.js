@@ -0,0 +1,555 @@
+import { FieldPath, FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { isScheduleOver } from "./scheduleTime.js";
+
+const SCHEDULES_COLLECTION = "scheduledBroadcasts";
+const BROADCASTS_COLLECTION = "broadcasts";
+const BUTTONS_COLLECTION = "broadcastButtons";
+const DRAFTS_COLLECTION = "broadcastDrafts";
+
+/* -----------------------------
+   Scheduled broadcasts
+------------------------------ */
+function scheduleRef(scheduleId) {
+    return db().collection(SCHEDULES_COLLECTION).doc(String(scheduleId));
+}
+
+export async function saveSchedule(schedule) {
+    await scheduleRef(schedule.id).set(schedule);
+}
+
+export async function getSchedule(scheduleId) {
+    const snap = await scheduleRef(scheduleId).get();
+    return snap.exists ? snap.data() : null;
+}
+
+export async function updateSchedule(scheduleId, patch) {
+    await scheduleRef(scheduleId).set({ ...patch, updatedAt: Date.now() }, { merge: true });
+}
+
+// Admin edits (cancel, time, content, approval) re-read the schedule in a transaction, so they
+// cannot overwrite a run claimed at the same time or revive a schedule that meanwhile ended.
+// build(s) returns the patch for the current doc, or null to leave it unchanged. An edit that leaves
+// no run (end date / max runs already reached) completes the schedule in the same write.
+// Returns { schedule, patch } (schedule as updated), or null when the schedule is gone or no
+// longer active / pending approval.
+export async function editSchedule(scheduleId, build, now = Date.now()) {
+    const firestore = db();
+    const ref = scheduleRef(scheduleId);
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+
+        const s = snap.data();
+        if (s.status !== "active" && s.status !== "pending_approval") return null;
+
+        const patch = build(s);
+        if (!patch) return { schedule: s, patch: null };
+
+        const next = { ...patch, updatedAt: now };
+        if (!patch.status && isScheduleOver({ ...s, ...next })) next.status = "completed";
+        tx.update(ref, next);
+        return { schedule: { ...s, ...next }, patch };
+    });
+}
+
+// "Active" for the owner includes schedules still waiting for a second admin's approval.
+export async function listActiveSchedules(adminChatId) {
+    const snap = await db()
+        .collection(SCHEDULES_COLLECTION)
+        .where("adminChatId", "==", adminChatId)
+        .where("status", "in", ["active", "pending_approval"])
+        .get();
+    return snap.docs.map((d) => d.data()).sort((a, b) => a.nextRunAt - b.nextRunAt);
+}
+
+export async function listDueSchedules(now = Date.now()) {
+    // Active schedules are a small set; filter by time in memory to avoid composite indexes.
+    const snap = await db()
+        .collection(SCHEDULES_COLLECTION)
+        .where("status", "==", "active")
+        .get();
+    return snap.docs.map((d) => d.data()).filter((s) => s.nextRunAt <= now);
+}
+
+// In one transaction: re-check that the schedule is due, advance it with advance(s)
+// and create the broadcast doc that owns the actual (resumable) delivery. A schedule that has no
+// run left (end date passed, max runs reached) is completed instead, without a broadcast.
+// Returns { schedule, broadcast } or null if another tick already took this run.
+export async function claimScheduleRun(scheduleId, { advance, buildBroadcast }, now = Date.now()) {
+    const firestore = db();
+    const ref = scheduleRef(scheduleId);
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+
+        const s = snap.data();
+        if (s.status !== "active" || !(s.nextRunAt <= now)) return null;
+        if (isScheduleOver(s)) {
+            tx.update(ref, { status: "completed", updatedAt: now });
+            return null;
+        }
+
+        const broadcast = buildBroadcast(s);
+        const patch = {
+            ...advance(s),
+            lastRunAt: now,
+            lastBroadcastId: broadcast.id,
+            updatedAt: now,
+        };
+
+        tx.set(broadcastRef(broadcast.id), broadcast);
+        tx.update(ref, patch);
+        return { schedule: { ...s, ...patch }, broadcast };
+    });
+}
+
+/* -----------------------------
+   Broadcast deliveries
+------------------------------ */
+function broadcastRef(broadcastId) {
+    return db().collection(BROADCASTS_COLLECTION).doc(String(broadcastId));
+}
+
+// New broadcasts start out claimed ("running" with a lock) by the process that creates them.
+// The same doc doubles as the delivery report once the broadcast is finished.
+export function newBroadcastDoc({
+    id,
+    payload,
+    payloadPreview = "",
+    adminChatId,
+    startedBy = null,
+    startedByUsername = "",
+    origin = null,
+    scheduleId = null,
+    approvedBy = null,
+    segment = null,
+    variants = [],
+    abTest = null,
+    rolloutOf = null,
+    audienceTotal = null,
+    lockMs,
+}) {
+    const now = Date.now();
+    return {
+        id,
+        status: "running",
+        trigger: scheduleId ? "schedule" : "manual",
+        payload,
+        payloadPreview,
+        ctaButton: payload?.ctaButton || null,
+        buttons: Array.isArray(payload?.buttons) ? payload.buttons : [],
+        adminChatId: adminChatId ?? null,
+        // Automatic broadcasts (origin, e.g. "game-of-the-day") have no admin who started them.
+        startedBy: startedBy ?? (origin ? null : adminChatId) ?? null,
+        startedByUsername,
+        origin,
+        scheduleId,
+        approvedBy,
+        segment: segment || { type: "all" },
+        variants, // A/B test: [{ key, payload, payloadPreview }], see abTest.js
+        abTest,
+        rolloutOf,
+        rolloutBroadcastId: null,
+        audienceTotal,
+        createdAt: now,
+        startedAt: now,
+        finishedAt: null,
+        lockedUntil: now + lockMs,
+        cursor: null, // last users doc id whose whole page was processed
+        pageDoneIds: [], // users doc ids already processed in the page after cursor
+        counts: { sent: 0, blocked: 0, failed: 0 },
+        clicks: { total: 0, unique: 0 }, // tracked URL buttons, see trackedLinks.js
+        variantCounts: {}, // key -> { sent, blocked, failed }
+        variantClicks: {}, // key -> { total, unique }
+        progressMessageId: null,
+        control: null, // "pause" | "abort" requested while running, see requestBroadcastControl
+        deleteSent: false,
+        deletion: null, // { status, deleted, failed } when sent messages are deleted after an abort
+        sentRecords: "kept", // "purged" once sent/ is gone, see purgeSentRecords
+        lastError: null,
+    };
+}
+
+export async function createBroadcast(broadcast) {
+    await broadcastRef(broadcast.id).set(broadcast);
+}
+
+export async function getBroadcast(broadcastId) {
+    const snap = await broadcastRef(broadcastId).get();
+    return snap.exists ? snap.data() : null;
+}
+
+export async function updateBroadcast(broadcastId, patch) {
+    await broadcastRef(broadcastId).set({ ...patch, updatedAt: Date.now() }, { merge: true });
+}
+
+// Takes over a running broadcast whose owner stopped extending its lock (process died
+// mid-send). Returns the claimed doc or null if it is still owned or already finished.
+export async function claimBroadcast(broadcastId, lockMs, now = Date.now()) {
+    const firestore = db();
+    const ref = broadcastRef(broadcastId);
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+
+        const b = snap.data();
+        if (b.status !== "running" || !(b.lockedUntil < now)) return null;
+
+        const patch = { lockedUntil: now + lockMs, updatedAt: now };
+        tx.update(ref, patch);
+        return { ...b, ...patch };
+    });
+}
+
+// Pause/resume/abort of a broadcast. A running broadcast only gets the request (`control`);
+// its delivery loop stops at the next checkpoint and sets the final status itself.
+// A paused one has no delivery loop, so abort/resume change its status right here.
+// Returns the updated doc or null when the action does not apply to the current status.
+export async function requestBroadcastControl(broadcastId, action, { deleteSent = false, by = null } = {}, now = Date.now()) {
+    const firestore = db();
+    const ref = broadcastRef(broadcastId);
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+
+        const b = snap.data();
+        let patch = null;
+
+        if (action === "pause" && b.status === "running" && !b.control) {
+            patch = { control: "pause" };
+        } else if (action === "resume" && b.status === "paused") {
+            // An expired lock lets this process (or the scheduler tick) claim it again.
+            patch = { status: "running", control: null, lockedUntil: 0, pausedAt: null };
+        } else if (action === "abort" && b.status === "running" && b.control !== "abort") {
+            patch = { control: "abort", deleteSent: Boolean(deleteSent) };
+        } else if (action === "abort" && b.status === "paused") {
+            patch = { status: "aborted", control: null, deleteSent: Boolean(deleteSent), finishedAt: now };
+        }
+        if (!patch) return null;
+
+        patch = { ...patch, controlBy: by, updatedAt: now };
+        tx.update(ref, patch);
+        return { ...b, ...patch };
+    });
+}
+
+// Aborted broadcasts whose sent messages still have to be deleted (small set, filtered in memory).
+export async function listPendingDeletions() {
+    const snap = await db()
+        .collection(BROADCASTS_COLLECTION)
+        .where("status", "==", "aborted")
+        .get();
+    return snap.docs.map((d) => d.data()).filter((b) => b.deleteSent && !b.deletion);
+}
+
+// Takes the deletion of an aborted broadcast's messages so only one process runs it.
+export async function claimDeletion(broadcastId, now = Date.now()) {
+    const firestore = db();
+    const ref = broadcastRef(broadcastId);
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+
+        const b = snap.data();
+        if (b.status !== "aborted" || !b.deleteSent || b.deletion) return null;
+
+        const patch = { deletion: { status: "running", deleted: 0, failed: 0, startedAt: now }, updatedAt: now };
+        tx.update(ref, patch);
+        return { ...b, ...patch };
+    });
+}
+
+export async function listRecentBroadcasts(limit = 10) {
+    const snap = await db()
+        .collection(BROADCASTS_COLLECTION)
+        .orderBy("createdAt", "desc")
+        .limit(limit)
+        .get();
+    return snap.docs.map((d) => d.data());
+}
+
+// Report shape shared by the /broadcasts bot command and the admin HTTP endpoint.
+export function toBroadcastReport(b) {
+    const counts = { sent: 0, blocked: 0, failed: 0, ...b.counts };
+    const clicks = { total: 0, unique: 0, ...b.clicks };
+    const variants = (b.variants || []).map((v) => {
+        const vCounts = { sent: 0, blocked: 0, failed: 0, ...b.variantCounts?.[v.key] };
+        const vClicks = { total: 0, unique: 0, ...b.variantClicks?.[v.key] };
+        return {
+            key: v.key,
+            payloadPreview: v.payloadPreview || "",
+            counts: vCounts,
+            clicks: vClicks,
+            ctr: vCounts.sent ? Math.round((vClicks.unique / vCounts.sent) * 10000) / 10000 : null,
+        };
+    });
+    return {
+        id: b.id,
+        status: b.status,
+        trigger: b.trigger || (b.scheduleId ? "schedule" : "manual"),
+        startedBy: b.startedBy ?? null,
+        startedByUsername: b.startedByUsername || "",
+        origin: b.origin || null,
+        scheduleId: b.scheduleId || null,
+        approvedBy: b.approvedBy ?? null,
+        payloadPreview: b.payloadPreview || "",
+        segment: b.segment || { type: "all" },
+        ctaButton: b.ctaButton || null,
+        buttons: Array.isArray(b.buttons) ? b.buttons : [],
+        audienceTotal: b.audienceTotal ?? null,
+        counts,
+        processed: counts.sent + counts.blocked + counts.failed,
+        clicks,
+        // Share of recipients who clicked at least one tracked link.
+        ctr: counts.sent ? Math.round((clicks.unique / counts.sent) * 10000) / 10000 : null,
+        abTest: b.abTest || null,
+        variants,
+        rolloutOf: b.rolloutOf || null,
+        rolloutBroadcastId: b.rolloutBroadcastId || null,
+        createdAt: b.createdAt || null,
+        startedAt: b.startedAt || null,
+        finishedAt: b.finishedAt || null,
+        durationMs: b.startedAt && b.finishedAt ? b.finishedAt - b.startedAt : null,
+        deletion: b.deletion || null,
+        lastError: b.lastError || null,
+    };
+}
+
+// Marks a finished A/B test as rolled out so the winner goes out once.
+// Returns the test doc or null if it is unfinished, not a partial test or already rolled out.
+export async function claimRollout(testId, rolloutBroadcastId) {
+    const firestore = db();
+    const ref = broadcastRef(testId);
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+
+        const b = snap.data();
+        if (b.status !== "completed" || !b.abTest || b.abTest.testShare >= 1 || b.rolloutBroadcastId) return null;
+
+        tx.update(ref, { rolloutBroadcastId, updatedAt: Date.now() });
+        return { ...b, rolloutBroadcastId };
+    });
+}
+
+// Undoes claimRollout when the rollout broadcast doc was never created, so it can be retried.
+// Returns true when the claim was cleared.
+export async function releaseRollout(testId, rolloutBroadcastId) {
+    const firestore = db();
+    const ref = broadcastRef(testId);
+    const rolloutRef = broadcastRef(rolloutBroadcastId);
+
+    return firestore.runTransaction(async (tx) => {
+        const [snap, rolloutSnap] = await tx.getAll(ref, rolloutRef);
+        if (!snap.exists || rolloutSnap.exists || snap.data().rolloutBroadcastId !== rolloutBroadcastId) return false;
+
+        tx.update(ref, { rolloutBroadcastId: null, updatedAt: Date.now() });
+        return true;
+    });
+}
+
+export async function listInterruptedBroadcasts(now = Date.now()) {
+    const snap = await db()
+        .collection(BROADCASTS_COLLECTION)
+        .where("status", "==", "running")
+        .get();
+    return snap.docs.map((d) => d.data()).filter((b) => b.lockedUntil < now);
+}
+
+/* -----------------------------
+   Sent messages (for deletion after an abort)
+------------------------------ */
+// Telegram lets bots delete their messages for 48 hours; older records are of no use.
+export const SENT_DELETABLE_MS = 48 * 60 * 60 * 1000;
+const SENT_CHUNK_SIZE = 500;
+
+// records: [{ userId, chatId, messageIds }], written with the delivery checkpoint as
+// broadcasts/<b>/sent/<auto id> = { at, userIds, records } (up to SENT_CHUNK_SIZE records per doc).
+export async function recordSentMessages(broadcastId, records, now = Date.now()) {
+    if (!records.length) return;
+
+    const firestore = db();
+    const sentRef = broadcastRef(broadcastId).collection("sent");
+    const batch = firestore.batch();
+    for (let i = 0; i < records.length; i += SENT_CHUNK_SIZE) {
+        const chunk = records.slice(i, i + SENT_CHUNK_SIZE);
+        batch.set(sentRef.doc(), { at: now, userIds: chunk.map((r) => r.userId), records: chunk });
+    }
+    await batch.commit();
+}
+
+export async function fetchSentPage(broadcastId, cursor, pageSize) {
+    let q = broadcastRef(broadcastId).collection("sent").orderBy(FieldPath.documentId()).limit(pageSize);
+    if (cursor) q = q.startAfter(String(cursor));
+
+    const snap = await q.get();
+    return snap.docs.map((d) => ({ docId: d.id, ...d.data() }));
+}
+
+async function deleteRefs(refs) {
+    const firestore = db();
+    for (let i = 0; i < refs.length; i += 400) {
+        const batch = firestore.batch();
+        for (const ref of refs.slice(i, i + 400)) batch.delete(ref);
+        await batch.commit();
+    }
+}
+
+// Whether an abort may still delete the broadcast's messages (running, paused or deletion pending).
+function sentStillNeeded(b) {
+    if (b.status === "running" || b.status === "paused") return true;
+    return b.status === "aborted" && b.deleteSent && (!b.deletion || b.deletion.status === "running");
+}
+
+// Drops sent records older than SENT_DELETABLE_MS, and all of them once a broadcast can no longer
+// delete its messages. Returns the number of deleted docs.
+export async function purgeSentRecords(now = Date.now()) {
+    const snap = await db().collection(BROADCASTS_COLLECTION).where("sentRecords", "==", "kept").get();
+    let purged = 0;
+
+    for (const doc of snap.docs) {
+        const b = doc.data();
+        const sentRef = doc.ref.collection("sent");
+
+        if (sentStillNeeded(b)) {
+            const old = await sentRef.where("at", "<", now - SENT_DELETABLE_MS).select().get();
+            await deleteRefs(old.docs.map((d) => d.ref));
+            purged += old.size;
+            continue;
+        }
+
+        const refs = await sentRef.listDocuments();
+        await deleteRefs(refs);
+        await doc.ref.update({ sentRecords: "purged", updatedAt: now });
+        purged += refs.length;
+    }
+    return purged;
+}
+
+/* -----------------------------
+   Audience paging
+------------------------------ */
+// Users are walked in document id order so a delivery can resume after `cursor`.
+export async function fetchAudiencePage(cursor, pageSize) {
+    let q = db().collection("users").orderBy(FieldPath.documentId()).limit(pageSize);
+    if (cursor) q = q.startAfter(String(cursor));
+
+    const snap = await q.get();
+    return snap.docs.map((d) => ({ docId: d.id, ...d.data() }));
+}
+
+export async function getUser(userId) {
+    const snap = await db().collection("users").doc(String(userId)).get();
+    return snap.exists ? snap.data() : null;
+}
+
+// marketingConsent is missing for users who never chose, which counts as subscribed.
+export async function setMarketingConsent(userId, consent, now = Date.now()) {
+    await db().collection("users").doc(String(userId)).set(
+        { marketingConsent: Boolean(consent), marketingConsentAt: new Date(now).toISOString() },
+        { merge: true }
+    );
+}
+
+// reachable = users a broadcast to everyone goes to: not blocked and not opted out. Opted-out users
+// are subtracted only when not blocked too, so nobody is subtracted twice (equality filters only,
+// no composite index needed).
+export async function loadAudienceStats() {
+    const users = db().collection("users");
+    const [total, blocked, optedOut, optedOutUnblocked] = await Promise.all([
+        users.count().get(),
+        users.where("blockedAt", "!=", null).count().get(),
+        users.where("marketingConsent", "==", false).count().get(),
+        users.where("marketingConsent", "==", false).where("blockedAt", "==", null).count().get(),
+    ]);
+
+    const counts = {
+        total: total.data().count,
+        blocked: blocked.data().count,
+        optedOut: optedOut.data().count,
+    };
+    return { ...counts, reachable: Math.max(0, counts.total - counts.blocked - optedOutUnblocked.data().count) };
+}
+
+/* -----------------------------
+   Callback buttons
+------------------------------ */
+// Callback buttons in broadcasts carry only `bc_btn:<id>` (64 byte limit); the reply lives here.
+export async function saveCallbackButton({ id, text, reply }) {
+    await db().collection(BUTTONS_COLLECTION).doc(String(id)).set({
+        id,
+        text,
+        reply,
+        clicks: 0,
+        createdAt: Date.now(),
+    });
+}
+
+export async function getCallbackButton(buttonId) {
+    const snap = await db().collection(BUTTONS_COLLECTION).doc(String(buttonId)).get();
+    return snap.exists ? snap.data() : null;
+}
+
+export async function recordCallbackButtonClick(buttonId) {
+    await db()
+        .collection(BUTTONS_COLLECTION)
+        .doc(String(buttonId))
+        .set({ clicks: FieldValue.increment(1), lastClickAt: Date.now() }, { merge: true });
+}
+
+/* -----------------------------
+   Approval drafts
+------------------------------ */
+// With approval required, "Send now", rollouts and new schedules become drafts another admin approves:
+//   { id, kind: "now" | "schedule", status: "pending" | "approved" | "rejected",
+//     requestedBy, requestedByUsername, payload, variants, testShare, segment, audienceSize,
+//     scheduleId, rolloutOf: { broadcastId, variant } | null,
+//     notifications: [{ chatId, messageId }], decidedBy, decidedAt, broadcastId }
+function draftRef(draftId) {
+    return db().collection(DRAFTS_COLLECTION).doc(String(draftId));
+}
+
+export async function createDraft(draft) {
+    await draftRef(draft.id).set(draft);
+}
+
+export async function getDraft(draftId) {
+    const snap = await draftRef(draftId).get();
+    return snap.exists ? snap.data() : null;
+}
+
+export async function updateDraft(draftId, patch) {
+    await draftRef(draftId).set({ ...patch, updatedAt: Date.now() }, { merge: true });
+}
+
+export async function listPendingDrafts() {
+    const snap = await db().collection(DRAFTS_COLLECTION).where("status", "==", "pending").get();
+    return snap.docs.map((d) => d.data()).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// Approves or rejects a pending draft once. The requester can reject (withdraw) but not approve.
+// Returns the decided draft or null if it was already decided or the admin may not approve it.
+export async function decideDraft(draftId, { status, decidedBy, decidedByUsername = "" }, now = Date.now()) {
+    const firestore = db();
+    const ref = draftRef(draftId);
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+
+        const d = snap.data();
+        if (d.status !== "pending") return null;
+        if (status === "approved" && Number(d.requestedBy) === Number(decidedBy)) return null;
+
+        const patch = { status, decidedBy, decidedByUsername, decidedAt: now, updatedAt: now };
+        tx.update(ref, patch);
+        return { ...d, ...patch };
+    });
+}
@@ -0,0 +1,102 @@
+import { db } from "./firebase.js";
+import { DEFAULT_SCHEDULE_TIME_ZONE, isValidTimeZone, getTimeZoneParts, parseHHMM } from "./scheduleTime.js";
+
+// Game of the day: once a day after TG_GOTD_TIME (HH:MM in TG_GOTD_TIME_ZONE) a game is picked from
+// the home sections, rotating best (pinned first) -> new -> rtp97, and posted to TG_GOTD_CHANNEL_ID
+// and/or broadcast to all users (TG_GOTD_BROADCAST=true). gameOfTheDay/<YYYY-MM-DD> is both the
+// once-a-day claim and the history that keeps a game from repeating for TG_GOTD_NO_REPEAT_DAYS.
+// The broadcast skips the approval flow (TG_BROADCAST_REQUIRE_APPROVAL): it is enabled by whoever runs the
+// server, and its content is generated from the catalog rather than written by an admin.
+export const GOTD_SOURCES = ["best", "new", "rtp97"];
+
+const GOTD_COLLECTION = "gameOfTheDay";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GOTD_RETRY_MS = 10 * 60 * 1000;
+
+export function gotdConfig() {
+    const timeZone = isValidTimeZone(process.env.TG_GOTD_TIME_ZONE) ? process.env.TG_GOTD_TIME_ZONE : DEFAULT_SCHEDULE_TIME_ZONE;
+    const channelId = String(process.env.TG_GOTD_CHANNEL_ID || "").trim() || null;
+    const broadcast = String(process.env.TG_GOTD_BROADCAST || "").toLowerCase() === "true";
+    const noRepeatDays = Math.max(Number(process.env.TG_GOTD_NO_REPEAT_DAYS) || 30, 1);
+
+    return {
+        enabled: Boolean(channelId || broadcast),
+        channelId,
+        broadcast,
+        time: parseHHMM(process.env.TG_GOTD_TIME) || parseHHMM("12:00"),
+        timeZone,
+        noRepeatDays,
+    };
+}
+
+// Local calendar day in the configured time zone.
+export function gotdDayKey(now, timeZone) {
+    const p = getTimeZoneParts(now, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+export function isGotdTime(config, now = Date.now()) {
+    const p = getTimeZoneParts(now, config.timeZone);
+    return p.hour * 60 + p.minute >= config.time.hh * 60 + config.time.mm;
+}
+
+export async function getGotd(dayKey) {
+    const snap = await db().collection(GOTD_COLLECTION).doc(dayKey).get();
+    return snap.exists ? snap.data() : null;
+}
+
+export async function listGotdHistory(limit = 10) {
+    const snap = await db().collection(GOTD_COLLECTION).orderBy("day", "desc").limit(limit).get();
+    return snap.docs.map((d) => d.data());
+}
+
+async function recentGotdGameIds(dayKey, noRepeatDays) {
+    const since = new Date(Date.parse(`${dayKey}T00:00:00Z`) - noRepeatDays * DAY_MS).toISOString().slice(0, 10);
+    const snap = await db().collection(GOTD_COLLECTION).where("day", ">=", since).get();
+    return new Set(snap.docs.map((d) => String(d.data().gameId)));
+}
+
+// sections: getHomeSections() output. The day decides which source goes first; the first game
+// that did not run within the window wins (games with a thumbnail preferred).
+export async function pickGameOfTheDay(sections, dayKey, noRepeatDays) {
+    const recent = await recentGotdGameIds(dayKey, noRepeatDays);
+    const dayIndex = Math.floor(Date.parse(`${dayKey}T00:00:00Z`) / DAY_MS);
+
+    for (let i = 0; i < GOTD_SOURCES.length; i++) {
+        const source = GOTD_SOURCES[(dayIndex + i) % GOTD_SOURCES.length];
+        const games = (sections.find((s) => s.id === source)?.games || []).filter((g) => !recent.has(String(g.id)));
+        const game = games.find((g) => g.thumb) || games[0];
+        if (game) return { source, game };
+    }
+    return null;
+}
+
+// A failed day (channel post or broadcast threw) is retried, at most every GOTD_RETRY_MS unless forced.
+export function isGotdRetryDue(doc, now = Date.now()) {
+    return doc.status === "failed" && now - (doc.updatedAt || 0) >= GOTD_RETRY_MS;
+}
+
+// Creates the day's doc, or takes over a failed one (it keeps the picked game and what was already
+// posted). Returns the day's doc, or null when another run or instance has the day.
+export async function claimGotd(dayKey, entry, now = Date.now()) {
+    const firestore = db();
+    const ref = firestore.collection(GOTD_COLLECTION).doc(dayKey);
+
+    return firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) {
+            const doc = { ...entry, day: dayKey, status: "posting", createdAt: now };
+            tx.create(ref, doc);
+            return doc;
+        }
+
+        const cur = snap.data();
+        if (cur.status !== "failed") return null;
+        tx.update(ref, { status: "posting", lastError: null, updatedAt: now });
+        return { ...cur, status: "posting" };
+    });
+}
+
+export async function updateGotd(dayKey, patch) {
+    await db().collection(GOTD_COLLECTION).doc(dayKey).set({ ...patch, updatedAt: Date.now() }, { merge: true });
+}
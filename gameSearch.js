@@ -0,0 +1,107 @@
+import { db } from "./firebase.js";
+
+// Name normalization shared by the admin pull routes and game search:
+// "Zeus vs. Hades: Gods of War" -> "zeus vs hades gods of war".
+export function keyName(s) {
+    return String(s || "")
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .replace(/\s+/g, " ");
+}
+
+// Game shape served to the mini app, the bot's search and inline results.
+export function toClientGame(g) {
+    return {
+        id: g.id,
+        name: g.name,
+        provider: g.provider,
+        thumb: g.thumb,
+        demoUrl: g.embedUrl,
+        rtp: g.rtp ?? null,
+    };
+}
+
+export const MIN_SEARCH_QUERY_LEN = 2;
+
+// Enabled games with their keys, loaded once and refreshed every 10 min (projection only,
+// so the whole catalog is a single cheap query).
+const SEARCH_INDEX_TTL_MS = 10 * 60 * 1000;
+let searchIndex = null; // { ts, games: [{ game, nameKey, providerKey }] }
+let searchIndexInFlight = null;
+
+async function loadSearchIndex() {
+    if (searchIndex && Date.now() - searchIndex.ts < SEARCH_INDEX_TTL_MS) return searchIndex.games;
+
+    if (!searchIndexInFlight) {
+        searchIndexInFlight = db()
+            .collection("games")
+            .where("enabled", "==", true)
+            .select("id", "name", "provider", "thumb", "rtp", "embedUrl")
+            .get()
+            .then((snap) => {
+                const games = snap.docs.map((d) => {
+                    const game = { ...d.data(), id: String(d.data().id ?? d.id) };
+                    return { game, nameKey: keyName(game.name), providerKey: keyName(game.provider) };
+                });
+                searchIndex = { ts: Date.now(), games };
+                return games;
+            })
+            .finally(() => {
+                searchIndexInFlight = null;
+            });
+    }
+    return searchIndexInFlight;
+}
+
+// Higher is better; 0 means no match. Provider names only count when the name matched too
+// ("sweet bonanza pragmatic") or the whole query is the provider.
+function matchScore(entry, key, tokens) {
+    const { nameKey, providerKey } = entry;
+    if (nameKey === key) return 100;
+    if (nameKey.startsWith(key)) return 80;
+    if (nameKey.includes(key)) return 60;
+
+    const words = `${nameKey} ${providerKey}`.split(" ");
+    const hits = tokens.filter((t) => words.some((w) => w.startsWith(t))).length;
+    if (hits === tokens.length && tokens.some((t) => nameKey.includes(t))) return 40 + hits;
+    if (providerKey === key) return 20;
+    return 0;
+}
+
+// Up to `limit` games (toClientGame shape), best matches first.
+export async function searchGames(query, limit = 5) {
+    const key = keyName(query);
+    if (key.length < MIN_SEARCH_QUERY_LEN) return [];
+
+    const tokens = key.split(" ");
+    const games = await loadSearchIndex();
+
+    return games
+        .map((entry) => ({ entry, score: matchScore(entry, key, tokens) }))
+        .filter((m) => m.score > 0)
+        .sort((a, b) => b.score - a.score || a.entry.nameKey.length - b.entry.nameKey.length)
+        .slice(0, limit)
+        .map(({ entry }) => toClientGame(entry.game));
+}
+
+// Providers of enabled games as [{ key, name, count }], most games first.
+export async function listProviders() {
+    const byKey = new Map();
+    for (const { game, providerKey } of await loadSearchIndex()) {
+        if (!providerKey) continue;
+        const p = byKey.get(providerKey) || { key: providerKey, name: game.provider, count: 0 };
+        p.count += 1;
+        byKey.set(providerKey, p);
+    }
+    return [...byKey.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// Enabled games of a provider (keyName of the provider), by name.
+export async function gamesByProvider(providerKey) {
+    return (await loadSearchIndex())
+        .filter((e) => e.providerKey === providerKey)
+        .sort((a, b) => a.nameKey.localeCompare(b.nameKey))
+        .map((e) => toClientGame(e.game));
+}
@@ -0,0 +1,40 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+
+// gameShares/<gameId>: { gameId, game (toClientGame snapshot), count, lastSharedAt, lastSharedBy }.
+// A share is an inline result the user picked (chosen_inline_result; inline feedback must be
+// enabled for the bot in @BotFather). users/<id>.inlineShares counts shares per user.
+const SHARES_COLLECTION = "gameShares";
+
+export async function recordGameShare(game, userId, now = Date.now()) {
+    const firestore = db();
+    const shareRef = firestore.collection(SHARES_COLLECTION).doc(String(game.id));
+    const snapshot = {
+        id: String(game.id),
+        name: game.name || "",
+        provider: game.provider || "",
+        thumb: game.thumb || "",
+        demoUrl: game.demoUrl || "",
+        rtp: game.rtp ?? null,
+    };
+    const share = { gameId: snapshot.id, game: snapshot, count: FieldValue.increment(1), lastSharedAt: now, lastSharedBy: userId ?? null };
+
+    const batch = firestore.batch();
+    batch.set(shareRef, share, { merge: true });
+    if (userId) batch.update(firestore.collection("users").doc(String(userId)), { inlineShares: FieldValue.increment(1) });
+
+    try {
+        await batch.commit();
+    } catch (e) {
+        if (e?.code !== 5) throw e; // 5 = NOT_FOUND: the sharer never started the bot
+        await shareRef.set(share, { merge: true });
+    }
+}
+
+export async function listTopSharedGames(limit = 10) {
+    const snap = await db().collection(SHARES_COLLECTION).orderBy("count", "desc").limit(limit).get();
+    return snap.docs.map((d) => {
+        const s = d.data();
+        return { ...s.game, shares: Number(s.count) || 0, lastSharedAt: s.lastSharedAt || null };
+    });
+}
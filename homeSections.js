@@ -0,0 +1,210 @@
+import { db } from "./firebase.js";
+import { toClientGame } from "./gameSearch.js";
+
+// Home sections of the mini app (/api/home), also browsed from the bot (/top, /new, /casual, /games),
+// so both always show the same lists: [{ id, title, icon, games }].
+const HOME_CACHE_TTL_MS = 10 * 60 * 1000; // 10 min
+let homeCache = null; // { ts, data }
+let homeInFlight = null; // Promise resolving to result array
+let homeCircuitUntil = 0; // if quota errors happen, skip Firestore until this time
+
+export function isQuotaError(e) {
+    const msg = String(e?.message || e || "");
+    return msg.includes("RESOURCE_EXHAUSTED") || msg.includes("Quota exceeded");
+}
+
+function withTimeout(promise, ms) {
+    return Promise.race([
+        promise,
+        new Promise((_, rej) => setTimeout(() => rej(new Error("timeout")), ms)),
+    ]);
+}
+
+function safeTs(v) {
+    if (typeof v === "number" && Number.isFinite(v)) return v;
+    const t = Date.parse(String(v || ""));
+    return Number.isFinite(t) ? t : 0;
+}
+
+/* -----------------------------
+   Curation (pinned best / casual games)
+------------------------------ */
+async function getPinnedBestIds() {
+    const firestore = db();
+    const snap = await firestore.collection("meta").doc("curation").get();
+    if (!snap.exists) return [];
+    const ids = snap.data()?.bestPinnedIds;
+    return Array.isArray(ids) ? ids.map(String).filter(Boolean) : [];
+}
+
+export async function setPinnedBestIds(ids) {
+    const firestore = db();
+    await firestore.collection("meta").doc("curation").set(
+        {
+            bestPinnedIds: ids.map(String),
+            updatedAt: new Date().toISOString(),
+        },
+        { merge: true }
+    );
+}
+
+async function getPinnedCasualIds() {
+    const firestore = db();
+    const snap = await firestore.collection("meta").doc("curation").get();
+    if (!snap.exists) return [];
+    const ids = snap.data()?.casualPinnedIds;
+    return Array.isArray(ids) ? ids.map(String).filter(Boolean) : [];
+}
+
+export async function setPinnedCasualIds(ids) {
+    const firestore = db();
+    await firestore.collection("meta").doc("curation").set(
+        {
+            casualPinnedIds: ids.map(String),
+            updatedAt: new Date().toISOString(),
+        },
+        { merge: true }
+    );
+}
+
+function mergePinnedFirst(pinnedDocs, poolDocs, limit) {
+    const pinnedIds = new Set(pinnedDocs.map((g) => String(g.id)));
+    const merged = [...pinnedDocs];
+
+    for (const g of poolDocs) {
+        if (merged.length >= limit) break;
+        if (pinnedIds.has(String(g.id))) continue;
+        merged.push(g);
+    }
+
+    return merged.slice(0, limit);
+}
+
+/* -----------------------------
+   Section builder: single Firestore read + cache + stale fallback
+------------------------------ */
+async function buildHomeSections() {
+    const firestore = db();
+
+    const [snap, exclusiveSnap, rtpSnap] = await Promise.all([
+        firestore
+            .collection("games")
+            .where("enabled", "==", true)
+            .limit(220)
+            .get(),
+        firestore
+            .collection("games")
+            .where("enabled", "==", true)
+            .limit(5000)
+            .get(),
+        firestore
+            .collection("games")
+            .where("enabled", "==", true)
+            .limit(5000)
+            .get(),
+    ]);
+
+    const docs = snap.docs.map((d) => d.data());
+    const exclusivePool = exclusiveSnap.docs.map((d) => d.data());
+    const rtpPool = rtpSnap.docs.map((d) => d.data());
+
+    const byUpdated = [...docs].sort(
+        (a, b) => safeTs(b.updatedAtTs ?? b.updatedAt) - safeTs(a.updatedAtTs ?? a.updatedAt)
+    );
+    const byCreated = [...docs].sort(
+        (a, b) => safeTs(b.createdAtTs ?? b.createdAt) - safeTs(a.createdAtTs ?? a.createdAt)
+    );
+
+    const valentineRegex = /\b(valentine'?s?|romance|romantic|cupid|heart|hearts|kiss|lover|lovers|love|lovely|amour)\b/i;
+    const excludedRegex = /\b(leprechaun|clover|st\.?\s*patrick|shamrock|irish)\b/i;
+
+    const exclusive = exclusivePool.filter((g) => {
+        const name = String(g.name || "");
+        return valentineRegex.test(name) && !excludedRegex.test(name);
+    }).sort(
+        (a, b) => safeTs(b.updatedAtTs ?? b.updatedAt) - safeTs(a.updatedAtTs ?? a.updatedAt)
+    );
+
+    // NEW: pinned best games first
+    const pinnedIds = await getPinnedBestIds();
+    let pinnedDocs = [];
+    if (pinnedIds.length) {
+        const refs = pinnedIds.map((id) => firestore.collection("games").doc(String(id)));
+        const snaps = await firestore.getAll(...refs);
+        pinnedDocs = snaps
+            .filter((s) => s.exists)
+            .map((s) => s.data())
+            .filter((g) => g?.enabled === true)
+            .sort((a, b) => pinnedIds.indexOf(String(a.id)) - pinnedIds.indexOf(String(b.id)));
+    }
+
+    const casualPinnedIds = await getPinnedCasualIds();
+    let casualPinnedDocs = [];
+    if (casualPinnedIds.length) {
+        const refs = casualPinnedIds.map((id) => firestore.collection("games").doc(String(id)));
+        const snaps = await firestore.getAll(...refs);
+        casualPinnedDocs = snaps
+            .filter((s) => s.exists)
+            .map((s) => s.data())
+            .filter((g) => g?.enabled === true)
+            .sort((a, b) => casualPinnedIds.indexOf(String(a.id)) - casualPinnedIds.indexOf(String(b.id)));
+    }
+
+    const bestMerged = mergePinnedFirst(pinnedDocs, byUpdated, 50).map(toClientGame);
+    const casualGames = casualPinnedDocs.map(toClientGame);
+
+    const newGames = byCreated.slice(0, 50).map(toClientGame);
+
+    const rtp97Games = rtpPool
+        .filter((g) => Number.isFinite(g.rtp) && g.rtp >= 96)
+        .sort((a, b) => (b.rtp ?? 0) - (a.rtp ?? 0))
+        .slice(0, 50)
+        .map(toClientGame);
+
+
+    const exclusiveGames = exclusive.map(toClientGame);
+
+    return [
+        { id: "exclusive", title: "Exclusive games", icon: "🎁", games: exclusiveGames },
+        { id: "best", title: "Best games", icon: "⭐", games: bestMerged },
+        { id: "casual", title: "Casual games", icon: "🎮", games: casualGames },
+        { id: "new", title: "New games", icon: "🆕", games: newGames },
+        { id: "rtp97", title: "RTP 96%", icon: "🎯", games: rtp97Games },
+    ];
+}
+
+export function invalidateHomeSections() {
+    homeCache = null;
+}
+
+// Fresh cache, otherwise one shared build; on quota errors the stale copy is served.
+export async function getHomeSections({ timeoutMs = 2500 } = {}) {
+    if (homeCache && Date.now() - homeCache.ts < HOME_CACHE_TTL_MS) return homeCache.data;
+
+    if (Date.now() < homeCircuitUntil) {
+        if (homeCache?.data) return homeCache.data;
+        throw new Error("Temporarily unavailable");
+    }
+
+    if (!homeInFlight) {
+        homeInFlight = buildHomeSections()
+            .then((data) => {
+                homeCache = { ts: Date.now(), data };
+                return data;
+            })
+            .catch((e) => {
+                if (isQuotaError(e)) homeCircuitUntil = Date.now() + 60 * 1000;
+                throw e;
+            })
+            .finally(() => {
+                homeInFlight = null;
+            });
+    }
+
+    try {
+        return await withTimeout(homeInFlight, timeoutMs);
+    } catch (e) {
+        if (isQuotaError(e) && homeCache?.data) return homeCache.data;
+        throw e;
+    }
+}
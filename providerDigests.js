@@ -0,0 +1,77 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { keyName } from "./gameSearch.js";
+
+// New-game alerts per provider. users/<id>.providerSubs holds provider keys (keyName of the name);
+// runSync queues games that are new to us in newGameQueue/<gameId>, and the bot sends each
+// subscriber one digest per UTC day with the queued games of their providers
+// (users/<id>.digestSentAt / digestDay).
+const QUEUE_COLLECTION = "newGameQueue";
+const QUEUE_KEEP_DAYS = 7;
+const NEW_GAME_MAX_AGE_DAYS = 30; // older titles that first show up in a sync are not "new"
+const ARRAY_CONTAINS_ANY_MAX = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function digestDay(ts) {
+    return new Date(ts).toISOString().slice(0, 10);
+}
+
+// games: normalized games whose docs did not exist before the sync.
+export async function queueNewGames(games, now = Date.now()) {
+    const fresh = games.filter((g) => g.provider && g.createdAtTs && now - g.createdAtTs < NEW_GAME_MAX_AGE_DAYS * DAY_MS);
+    if (!fresh.length) return 0;
+
+    const firestore = db();
+    for (let i = 0; i < fresh.length; i += 400) {
+        const batch = firestore.batch();
+        for (const g of fresh.slice(i, i + 400)) {
+            batch.set(firestore.collection(QUEUE_COLLECTION).doc(String(g.id)), {
+                gameId: String(g.id),
+                name: g.name || "",
+                provider: g.provider,
+                providerKey: keyName(g.provider),
+                rtp: g.rtp ?? null,
+                queuedAt: now,
+            });
+        }
+        await batch.commit();
+    }
+    return fresh.length;
+}
+
+export async function loadDigestQueue(now = Date.now()) {
+    const snap = await db().collection(QUEUE_COLLECTION).where("queuedAt", ">=", now - QUEUE_KEEP_DAYS * DAY_MS).get();
+    return snap.docs.map((d) => d.data());
+}
+
+export async function purgeDigestQueue(now = Date.now()) {
+    const firestore = db();
+    const snap = await firestore.collection(QUEUE_COLLECTION).where("queuedAt", "<", now - QUEUE_KEEP_DAYS * DAY_MS).get();
+    for (let i = 0; i < snap.docs.length; i += 400) {
+        const batch = firestore.batch();
+        for (const d of snap.docs.slice(i, i + 400)) batch.delete(d.ref);
+        await batch.commit();
+    }
+}
+
+// Users subscribed to any of the providers (deduplicated).
+export async function listProviderSubscribers(providerKeys) {
+    const users = new Map();
+    for (let i = 0; i < providerKeys.length; i += ARRAY_CONTAINS_ANY_MAX) {
+        const snap = await db()
+            .collection("users")
+            .where("providerSubs", "array-contains-any", providerKeys.slice(i, i + ARRAY_CONTAINS_ANY_MAX))
+            .get();
+        for (const d of snap.docs) users.set(d.id, d.data());
+    }
+    return [...users.values()];
+}
+
+export async function setProviderSubscription(userId, providerKeys, subscribed) {
+    const change = subscribed ? FieldValue.arrayUnion(...providerKeys) : FieldValue.arrayRemove(...providerKeys);
+    await db().collection("users").doc(String(userId)).set({ providerSubs: change }, { merge: true });
+}
+
+export async function markDigestSent(userId, now = Date.now()) {
+    await db().collection("users").doc(String(userId)).update({ digestSentAt: now, digestDay: digestDay(now) });
+}
@@ -0,0 +1,80 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+
+// Invite links are deep links with start=ref<userId> (parsed by parseStartPayload as source "referral").
+// A new user gets referredBy/referredAt on users/<id>; the referrer gets referralCount and lastReferralAt.
+export const REFERRAL_SOURCE = "referral";
+export const MAX_REFERRAL_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function inviteStartParam(userId) {
+    return `ref${userId}`;
+}
+
+export function inviteLink(botUsername, userId) {
+    return `https://t.me/${botUsername}?start=${inviteStartParam(userId)}`;
+}
+
+// Credits the referrer once per invited user. Returns false for self-invites, unknown referrers
+// and users that were already referred.
+export async function recordReferral(userId, referrerId, now = Date.now()) {
+    if (!referrerId || Number(referrerId) === Number(userId)) return false;
+
+    const firestore = db();
+    const userRef = firestore.collection("users").doc(String(userId));
+    const referrerRef = firestore.collection("users").doc(String(referrerId));
+
+    return firestore.runTransaction(async (tx) => {
+        const [userSnap, referrerSnap] = await tx.getAll(userRef, referrerRef);
+        if (!referrerSnap.exists || userSnap.data()?.referredBy) return false;
+
+        const at = new Date(now).toISOString();
+        tx.set(userRef, { referredBy: Number(referrerId), referredAt: at }, { merge: true });
+        tx.set(referrerRef, { referralCount: FieldValue.increment(1), lastReferralAt: at }, { merge: true });
+        return true;
+    });
+}
+
+export async function getReferralCount(userId) {
+    const snap = await db().collection("users").doc(String(userId)).get();
+    return Number(snap.data()?.referralCount) || 0;
+}
+
+export async function listTopReferrers(limit = 10) {
+    const snap = await db()
+        .collection("users")
+        .where("referralCount", ">", 0)
+        .orderBy("referralCount", "desc")
+        .limit(limit)
+        .get();
+
+    return snap.docs.map((d) => {
+        const u = d.data();
+        return {
+            id: Number(u.id ?? d.id),
+            username: u.username || "",
+            firstName: u.firstName || "",
+            referralCount: Number(u.referralCount) || 0,
+            lastReferralAt: u.lastReferralAt || null,
+        };
+    });
+}
+
+// Referred signups per UTC day for the last `days` days (today included), oldest first.
+export async function loadReferralDays(days = 30, now = Date.now()) {
+    const n = Math.min(Math.max(Math.floor(Number(days)) || 30, 1), MAX_REFERRAL_DAYS);
+
+    const keys = [];
+    for (let i = n - 1; i >= 0; i--) keys.push(new Date(now - i * DAY_MS).toISOString().slice(0, 10));
+
+    const snap = await db().collection("users").where("referredAt", ">=", keys[0]).get();
+    const counts = new Map(keys.map((k) => [k, 0]));
+    for (const d of snap.docs) {
+        const day = String(d.data().referredAt).slice(0, 10);
+        if (counts.has(day)) counts.set(day, counts.get(day) + 1);
+    }
+
+    const daily = keys.map((day) => ({ day, referrals: counts.get(day) }));
+    return { days: n, total: daily.reduce((sum, d) => sum + d.referrals, 0), daily };
+}
@@ -0,0 +1,322 @@
+// Wall-clock helpers for scheduled broadcasts. Every schedule carries its own IANA
+// `timeZone`; older schedules without one run in DEFAULT_SCHEDULE_TIME_ZONE.
+export const DEFAULT_SCHEDULE_TIME_ZONE = "Europe/Riga";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+export const MAX_INTERVAL_HOURS = 24 * 7;
+
+const WEEKDAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"]; // ISO 1..7
+
+const formatterCache = new Map(); // timeZone -> Intl.DateTimeFormat
+
+function partsFormatter(timeZone) {
+    let f = formatterCache.get(timeZone);
+    if (!f) {
+        f = new Intl.DateTimeFormat("en-CA", {
+            timeZone,
+            year: "numeric",
+            month: "2-digit",
+            day: "2-digit",
+            hour: "2-digit",
+            minute: "2-digit",
+            second: "2-digit",
+            hourCycle: "h23",
+        });
+        formatterCache.set(timeZone, f);
+    }
+    return f;
+}
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== "string") return false;
+    try {
+        partsFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export function scheduleTimeZone(s) {
+    return s?.timeZone || DEFAULT_SCHEDULE_TIME_ZONE;
+}
+
+export function getTimeZoneParts(ts, timeZone = DEFAULT_SCHEDULE_TIME_ZONE) {
+    const map = {};
+    for (const p of partsFormatter(timeZone).formatToParts(new Date(ts))) {
+        if (p.type !== "literal") map[p.type] = p.value;
+    }
+    return {
+        year: Number(map.year),
+        month: Number(map.month),
+        day: Number(map.day),
+        hour: Number(map.hour),
+        minute: Number(map.minute),
+        second: Number(map.second),
+    };
+}
+
+function getTimeZoneOffsetMs(ts, timeZone) {
+    const p = getTimeZoneParts(ts, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, 0);
+    return asUtc - ts;
+}
+
+export function wallTimeToUtcMs(year, month, day, hour, minute, timeZone = DEFAULT_SCHEDULE_TIME_ZONE) {
+    const baseUtc = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
+    let ts = baseUtc;
+
+    // Iterate to stabilize offset around DST boundaries.
+    for (let i = 0; i < 3; i += 1) {
+        const offset = getTimeZoneOffsetMs(ts, timeZone);
+        const nextTs = baseUtc - offset;
+        if (nextTs === ts) break;
+        ts = nextTs;
+    }
+
+    // Reject impossible wall-times (for DST jumps).
+    const check = getTimeZoneParts(ts, timeZone);
+    if (
+        check.year !== year ||
+        check.month !== month ||
+        check.day !== day ||
+        check.hour !== hour ||
+        check.minute !== minute
+    ) {
+        return null;
+    }
+
+    return ts;
+}
+
+export function parseDateTimeLocal(input, timeZone = DEFAULT_SCHEDULE_TIME_ZONE) {
+    // expected: YYYY-MM-DD HH:mm
+    const m = String(input || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})$/);
+    if (!m) return null;
+    const [, y, mo, d, h, mi] = m;
+
+    const year = Number(y);
+    const month = Number(mo);
+    const day = Number(d);
+    const hour = Number(h);
+    const minute = Number(mi);
+    if (
+        !Number.isInteger(year) ||
+        month < 1 ||
+        month > 12 ||
+        day < 1 ||
+        day > 31 ||
+        hour < 0 ||
+        hour > 23 ||
+        minute < 0 ||
+        minute > 59
+    ) return null;
+
+    const ts = wallTimeToUtcMs(year, month, day, hour, minute, timeZone);
+    if (!Number.isFinite(ts)) return null;
+    return new Date(ts);
+}
+
+export function parseHHMM(input) {
+    const m = String(input || "").trim().match(/^(\d{2}):(\d{2})$/);
+    if (!m) return null;
+    const hh = Number(m[1]);
+    const mm = Number(m[2]);
+    if (hh < 0 || hh > 23 || mm < 0 || mm > 59) return null;
+    return { hh, mm, label: `${m[1]}:${m[2]}` };
+}
+
+// "Mon,Wed,Fri", "1,3,5", "weekdays", "weekends" or "daily" -> sorted ISO weekdays (1 = Monday).
+export function parseWeekdays(input) {
+    const raw = String(input || "").trim().toLowerCase();
+    if (raw === "weekdays") return [1, 2, 3, 4, 5];
+    if (raw === "weekends") return [6, 7];
+    if (raw === "daily" || raw === "everyday") return [1, 2, 3, 4, 5, 6, 7];
+
+    const days = new Set();
+    for (const token of raw.split(/[\s,;]+/).filter(Boolean)) {
+        const n = Number(token);
+        if (Number.isInteger(n) && n >= 1 && n <= 7) {
+            days.add(n);
+            continue;
+        }
+        const idx = WEEKDAY_NAMES.findIndex((d) => token.startsWith(d.toLowerCase()));
+        if (idx === -1) return null;
+        days.add(idx + 1);
+    }
+    return days.size ? [...days].sort((a, b) => a - b) : null;
+}
+
+export function formatWeekdays(weekdays) {
+    return (weekdays || []).map((d) => WEEKDAY_NAMES[d - 1]).join(", ");
+}
+
+// Splits an optional trailing time zone ("... Europe/Berlin" or "... UTC") off admin input.
+// Returns { rest, timeZone } where timeZone is null when none was given, or false when invalid.
+export function splitTimeZoneSuffix(input) {
+    const raw = String(input || "").trim();
+    const m = raw.match(/^(.*?)\s+([A-Za-z_]+(?:\/[A-Za-z0-9_+-]+)+|UTC)$/);
+    if (!m) return { rest: raw, timeZone: null };
+    return { rest: m[1].trim(), timeZone: isValidTimeZone(m[2]) ? m[2] : false };
+}
+
+// Next wall-clock HH:mm strictly after `from`, optionally restricted to ISO weekdays.
+export function nextWallClockRunAt(hh, mm, from = new Date(), timeZone = DEFAULT_SCHEDULE_TIME_ZONE, weekdays = null) {
+    const nowMs = from.getTime();
+    const nowParts = getTimeZoneParts(nowMs, timeZone);
+    const dayStartUtc = Date.UTC(nowParts.year, nowParts.month - 1, nowParts.day, 0, 0, 0, 0);
+
+    for (let i = 0; i < 15; i += 1) {
+        const d = new Date(dayStartUtc + i * DAY_MS);
+        const isoWeekday = d.getUTCDay() || 7;
+        if (weekdays?.length && !weekdays.includes(isoWeekday)) continue;
+
+        const ts = wallTimeToUtcMs(
+            d.getUTCFullYear(),
+            d.getUTCMonth() + 1,
+            d.getUTCDate(),
+            hh,
+            mm,
+            timeZone
+        );
+        if (!Number.isFinite(ts)) continue;
+        if (ts > nowMs) return ts;
+    }
+
+    return nowMs + DAY_MS;
+}
+
+// Next run of a recurring schedule after `from` (ignores end date / max runs).
+export function nextRunAfter(s, from = new Date()) {
+    const timeZone = scheduleTimeZone(s);
+
+    if (s.mode === "interval") {
+        const step = Number(s.intervalHours) * HOUR_MS;
+        const anchor = Number(s.nextRunAt) || from.getTime();
+        if (anchor > from.getTime()) return anchor;
+        const k = Math.floor((from.getTime() - anchor) / step) + 1;
+        return anchor + k * step;
+    }
+
+    const t = parseHHMM(s.dailyTime);
+    if (s.mode === "weekly") return nextWallClockRunAt(t.hh, t.mm, from, timeZone, s.weekdays);
+    return nextWallClockRunAt(t.hh, t.mm, from, timeZone);
+}
+
+// Schedule patch after a run was claimed at `now`: counts the run and either moves
+// nextRunAt forward or completes the schedule (one-time, max runs reached, past end date).
+export function advanceSchedule(s, now = Date.now()) {
+    const runCount = (Number(s.runCount) || 0) + 1;
+    if (s.mode === "once") return { status: "completed", runCount };
+    if (s.maxRuns && runCount >= s.maxRuns) return { status: "completed", runCount };
+
+    const nextRunAt = nextRunAfter(s, new Date(now + 1000));
+    if (s.endAt && nextRunAt > s.endAt) return { status: "completed", runCount };
+    return { nextRunAt, runCount };
+}
+
+// True when a recurring schedule has no run left: max runs reached or the next run past the end date.
+export function isScheduleOver(s) {
+    if (s.maxRuns && (Number(s.runCount) || 0) >= s.maxRuns) return true;
+    return Boolean(s.endAt && s.nextRunAt > s.endAt);
+}
+
+function tzLabel(timeZone) {
+    return timeZone.split("/").pop().replace(/_/g, " ");
+}
+
+export function fmtTs(ts, timeZone = DEFAULT_SCHEDULE_TIME_ZONE) {
+    const p = getTimeZoneParts(ts, timeZone);
+    return `${String(p.year).padStart(4, "0")}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")} ${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")} (${tzLabel(timeZone)})`;
+}
+
+// Parses the admin's "when" input for a schedule mode (time zone suffix is optional):
+//   once:     YYYY-MM-DD HH:mm [Zone]
+//   daily:    HH:mm [Zone]
+//   weekly:   Mon,Wed,Fri HH:mm [Zone]
+//   interval: N [YYYY-MM-DD HH:mm] [Zone]   every N hours, first run at the given time or in N hours
+// Returns the schedule fields to store, or null when the input is invalid.
+export function parseScheduleInput(mode, input, defaultTimeZone = DEFAULT_SCHEDULE_TIME_ZONE, now = Date.now()) {
+    const { rest, timeZone: tz } = splitTimeZoneSuffix(input);
+    if (tz === false) return null;
+    const timeZone = tz || defaultTimeZone;
+    const base = { timeZone, dailyTime: null, weekdays: null, intervalHours: null };
+
+    if (mode === "once") {
+        const dt = parseDateTimeLocal(rest, timeZone);
+        if (!dt || dt.getTime() <= now) return null;
+        return { ...base, nextRunAt: dt.getTime() };
+    }
+
+    if (mode === "daily") {
+        const t = parseHHMM(rest);
+        if (!t) return null;
+        return { ...base, dailyTime: t.label, nextRunAt: nextWallClockRunAt(t.hh, t.mm, new Date(now), timeZone) };
+    }
+
+    if (mode === "weekly") {
+        const m = rest.match(/^(.+?)\s+(\d{2}:\d{2})$/);
+        if (!m) return null;
+        const weekdays = parseWeekdays(m[1]);
+        const t = parseHHMM(m[2]);
+        if (!weekdays || !t) return null;
+        return {
+            ...base,
+            dailyTime: t.label,
+            weekdays,
+            nextRunAt: nextWallClockRunAt(t.hh, t.mm, new Date(now), timeZone, weekdays),
+        };
+    }
+
+    if (mode === "interval") {
+        const m = rest.match(/^(\d{1,3})(?:\s+(.+))?$/);
+        if (!m) return null;
+        const intervalHours = Number(m[1]);
+        if (intervalHours < 1 || intervalHours > MAX_INTERVAL_HOURS) return null;
+
+        let nextRunAt = now + intervalHours * HOUR_MS;
+        if (m[2]) {
+            const dt = parseDateTimeLocal(m[2], timeZone);
+            if (!dt || dt.getTime() <= now) return null;
+            nextRunAt = dt.getTime();
+        }
+        return { ...base, intervalHours, nextRunAt };
+    }
+
+    return null;
+}
+
+// "none" clears the end date; "YYYY-MM-DD" means the end of that day.
+// Returns { endAt } (null when cleared) or null when invalid.
+export function parseEndDateInput(input, timeZone = DEFAULT_SCHEDULE_TIME_ZONE, now = Date.now()) {
+    const raw = String(input || "").trim();
+    if (/^(none|no|-)$/i.test(raw)) return { endAt: null };
+
+    const dt = parseDateTimeLocal(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw} 23:59` : raw, timeZone);
+    if (!dt || dt.getTime() <= now) return null;
+    return { endAt: dt.getTime() };
+}
+
+// "none"/"0" clears the limit. Returns { maxRuns } (null when cleared) or null when invalid.
+export function parseMaxRunsInput(input) {
+    const raw = String(input || "").trim();
+    if (/^(none|no|-|0)$/i.test(raw)) return { maxRuns: null };
+    if (!/^\d{1,5}$/.test(raw)) return null;
+    return { maxRuns: Number(raw) };
+}
+
+// Moves a schedule to another time zone keeping its wall-clock time.
+// Returns the patch, or null if a one-time schedule would end up in the past.
+export function changeScheduleTimeZone(s, timeZone, now = Date.now()) {
+    if (s.mode === "daily" || s.mode === "weekly") {
+        return { timeZone, nextRunAt: nextRunAfter({ ...s, timeZone }, new Date(now)) };
+    }
+
+    const p = getTimeZoneParts(s.nextRunAt, scheduleTimeZone(s));
+    const ts = wallTimeToUtcMs(p.year, p.month, p.day, p.hour, p.minute, timeZone);
+    const nextRunAt = Number.isFinite(ts) ? ts : s.nextRunAt;
+
+    if (s.mode === "once") return nextRunAt > now ? { timeZone, nextRunAt } : null;
+    return { timeZone, nextRunAt: nextRunAfter({ ...s, nextRunAt }, new Date(now)) };
+}
@@ -0,0 +1,286 @@
+import { FieldPath } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+import { loadAudienceStats } from "./broadcasts.js";
+
+// Segment shapes (stored on schedules and broadcast docs as `segment`):
+//   { type: "all" }
+//   { type: "language", values: ["en", "ru"] }     Telegram language_code, "en" also matches "en-gb"
+//   { type: "country", values: ["LV", "DE"] }      countryCode from the mini app geo lookup
+//   { type: "signup", from, to }                   firstSeenAt within [from, to] (ms, either may be null)
+//   { type: "activity", from, to }                 lastSeenAt within [from, to]
+//   { type: "source", values: ["fb_ads"] }         deep-link start parameter (first or last touch)
+//   { type: "ids", ids: [123, 456] }               explicit list of Telegram user ids
+export const SEGMENT_TYPES = [
+    { id: "all", title: "All users" },
+    { id: "language", title: "Language" },
+    { id: "country", title: "Country" },
+    { id: "signup", title: "Signup date" },
+    { id: "activity", title: "Last activity" },
+    { id: "source", title: "Deep-link source" },
+    { id: "ids", title: "ID list" },
+];
+
+export const MAX_SEGMENT_IDS = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMs(v) {
+    if (typeof v === "number" && Number.isFinite(v)) return v;
+    const t = Date.parse(String(v || ""));
+    return Number.isFinite(t) ? t : null;
+}
+
+function parseList(input) {
+    return String(input || "")
+        .split(/[\s,;]+/)
+        .map((s) => s.trim())
+        .filter(Boolean);
+}
+
+function parseDay(s, endOfDay) {
+    const m = String(s || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!m) return null;
+    const ts = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    if (!Number.isFinite(ts)) return null;
+    return endOfDay ? ts + DAY_MS - 1 : ts;
+}
+
+// Accepts "30" (last 30 days), "YYYY-MM-DD..YYYY-MM-DD", "YYYY-MM-DD.." or "..YYYY-MM-DD" (UTC days).
+export function parseDateRange(input, now = Date.now()) {
+    const raw = String(input || "").trim();
+
+    if (/^\d{1,4}$/.test(raw)) {
+        const days = Number(raw);
+        if (days < 1) return null;
+        return { from: now - days * DAY_MS, to: null };
+    }
+
+    const m = raw.match(/^(\d{4}-\d{2}-\d{2})?\s*\.\.\s*(\d{4}-\d{2}-\d{2})?$/);
+    if (!m || (!m[1] && !m[2])) return null;
+
+    const from = m[1] ? parseDay(m[1], false) : null;
+    const to = m[2] ? parseDay(m[2], true) : null;
+    if ((m[1] && from === null) || (m[2] && to === null)) return null;
+    if (from !== null && to !== null && from > to) return null;
+    return { from, to };
+}
+
+export function parseIdList(input) {
+    const ids = parseList(input)
+        .map((s) => Number(s))
+        .filter((n) => Number.isSafeInteger(n) && n !== 0);
+    return [...new Set(ids)];
+}
+
+// Builds a segment from admin text input; returns null when the input is invalid.
+export function parseSegmentInput(type, input) {
+    if (type === "all") return { type: "all" };
+
+    if (type === "language") {
+        const values = parseList(input).map((s) => s.toLowerCase());
+        return values.length ? { type, values } : null;
+    }
+
+    if (type === "country") {
+        const values = parseList(input).map((s) => s.toUpperCase()).filter((s) => /^[A-Z]{2}$/.test(s));
+        return values.length ? { type, values } : null;
+    }
+
+    if (type === "signup" || type === "activity") {
+        const range = parseDateRange(input);
+        return range ? { type, ...range } : null;
+    }
+
+    if (type === "source") {
+        const values = parseList(input);
+        return values.length ? { type, values } : null;
+    }
+
+    if (type === "ids") {
+        const ids = parseIdList(input);
+        if (!ids.length || ids.length > MAX_SEGMENT_IDS) return null;
+        return { type, ids };
+    }
+
+    return null;
+}
+
+// Opted-out users (/stop) are skipped by every broadcast and scheduled run.
+export function isBroadcastRecipient(user) {
+    return Boolean(user?.id) && !user.blockedAt && user.marketingConsent !== false;
+}
+
+function inRange(ts, from, to) {
+    if (ts === null) return false;
+    if (from !== null && from !== undefined && ts < from) return false;
+    if (to !== null && to !== undefined && ts > to) return false;
+    return true;
+}
+
+// Returns a predicate over users docs. Prepared once per delivery (the id list becomes a Set).
+export function segmentMatcher(segment) {
+    const type = segment?.type || "all";
+
+    if (type === "language") {
+        const values = segment.values || [];
+        return (u) => {
+            const code = String(u.languageCode || "").toLowerCase();
+            return Boolean(code) && values.some((v) => code === v || code.startsWith(`${v}-`));
+        };
+    }
+
+    if (type === "country") {
+        const values = new Set(segment.values || []);
+        return (u) => values.has(String(u.countryCode || "").toUpperCase());
+    }
+
+    if (type === "signup") {
+        return (u) => inRange(toMs(u.firstSeenAt), segment.from, segment.to);
+    }
+
+    if (type === "activity") {
+        return (u) => inRange(toMs(u.lastSeenAt || u.updatedAt), segment.from, segment.to);
+    }
+
+    if (type === "source") {
+        const values = new Set(segment.values || []);
+        return (u) => values.has(u.firstSource) || values.has(u.lastSource);
+    }
+
+    if (type === "ids") {
+        const ids = new Set((segment.ids || []).map(Number));
+        return (u) => ids.has(Number(u.id));
+    }
+
+    return () => true;
+}
+
+function fmtDay(ts) {
+    return new Date(ts).toISOString().slice(0, 10);
+}
+
+export function describeSegment(segment) {
+    const type = segment?.type || "all";
+    if (type === "all") return "All users";
+    if (type === "language") return `Language: ${segment.values.join(", ")}`;
+    if (type === "country") return `Country: ${segment.values.join(", ")}`;
+    if (type === "source") return `Source: ${segment.values.join(", ")}`;
+    if (type === "ids") return `ID list (${segment.ids.length} ids)`;
+
+    const label = type === "signup" ? "Signed up" : "Last active";
+    const from = segment.from ? fmtDay(segment.from) : "…";
+    const to = segment.to ? fmtDay(segment.to) : "now";
+    return `${label}: ${from} – ${to}`;
+}
+
+
+/* -----------------------------
+   Audience counts
+------------------------------ */
+// Only the fields segmentMatcher and isBroadcastRecipient read are loaded for counting.
+const AUDIENCE_FIELDS = [
+    "id",
+    "blockedAt",
+    "marketingConsent",
+    "languageCode",
+    "countryCode",
+    "firstSeenAt",
+    "lastSeenAt",
+    "updatedAt",
+    "firstSource",
+    "lastSource",
+];
+const IN_QUERY_MAX = 30;
+const GET_ALL_CHUNK = 300;
+const COUNT_PAGE_SIZE = 500;
+
+function isoOrNull(ts) {
+    return ts === null || ts === undefined ? null : new Date(ts).toISOString();
+}
+
+function rangeQuery(q, field, from, to) {
+    if (from !== null && from !== undefined) q = q.where(field, ">=", isoOrNull(from));
+    if (to !== null && to !== undefined) q = q.where(field, "<=", isoOrNull(to));
+    return q;
+}
+
+// Users that may be in the segment, read with a filter on the segment's own field (single-field
+// indexes only); segmentMatcher still has the last word. null when the segment has no such filter.
+async function loadSegmentCandidates(segment) {
+    const users = db().collection("users");
+    const found = new Map(); // doc id -> user
+    const run = async (q) => {
+        const snap = await q.select(...AUDIENCE_FIELDS).get();
+        for (const d of snap.docs) found.set(d.id, d.data());
+    };
+
+    const type = segment?.type || "all";
+    const values = segment?.values || [];
+
+    if (type === "country" || type === "source") {
+        const fields = type === "country" ? ["countryCode"] : ["firstSource", "lastSource"];
+        for (const field of fields) {
+            for (let i = 0; i < values.length; i += IN_QUERY_MAX) {
+                await run(users.where(field, "in", values.slice(i, i + IN_QUERY_MAX)));
+            }
+        }
+    } else if (type === "language") {
+        // "en" also matches "en-gb"
+        for (const v of values) await run(users.where("languageCode", ">=", v).where("languageCode", "<=", `${v}-\uf8ff`));
+    } else if (type === "signup") {
+        await run(rangeQuery(users, "firstSeenAt", segment.from, segment.to));
+    } else if (type === "activity") {
+        // updatedAt is written together with lastSeenAt and also exists on docs from before it.
+        await run(rangeQuery(users, "updatedAt", segment.from, segment.to));
+    } else {
+        return null;
+    }
+    return [...found.values()];
+}
+
+// ID lists are looked up by id; ids without a users doc never started the bot and cannot be messaged.
+async function loadSegmentIds(ids) {
+    const firestore = db();
+    const users = [];
+    const missingIds = [];
+
+    for (let i = 0; i < ids.length; i += GET_ALL_CHUNK) {
+        const chunk = ids.slice(i, i + GET_ALL_CHUNK);
+        const snaps = await firestore.getAll(
+            ...chunk.map((id) => firestore.collection("users").doc(String(id))),
+            { fieldMask: AUDIENCE_FIELDS }
+        );
+        snaps.forEach((s, j) => (s.exists ? users.push(s.data()) : missingIds.push(chunk[j])));
+    }
+    return { users, missingIds };
+}
+
+// Walks every user (projection only) for counts no query can answer ("all" with an A/B split).
+async function loadAllAudience() {
+    const users = [];
+    let q = db().collection("users").orderBy(FieldPath.documentId()).select(...AUDIENCE_FIELDS).limit(COUNT_PAGE_SIZE);
+
+    while (true) {
+        const snap = await q.get();
+        for (const d of snap.docs) users.push(d.data());
+        if (snap.size < COUNT_PAGE_SIZE) break;
+        q = q.startAfter(snap.docs[snap.size - 1]);
+    }
+    return users;
+}
+
+// How many users a broadcast to the segment reaches; `pick` narrows it further (A/B test slice,
+// rollout rest). "All users" is a count() query; other segments read only the users their
+// filter selects. Returns { count, missingIds } (ID lists: ids without a users doc).
+export async function countSegmentAudience(segment, pick = null) {
+    const type = segment?.type || "all";
+    if (type === "all" && !pick) return { count: (await loadAudienceStats()).reachable, missingIds: [] };
+
+    let users;
+    let missingIds = [];
+    if (type === "ids") ({ users, missingIds } = await loadSegmentIds(segment.ids || []));
+    else users = (await loadSegmentCandidates(segment)) ?? (await loadAllAudience());
+
+    const matches = segmentMatcher(segment);
+    const count = users.filter((u) => isBroadcastRecipient(u) && matches(u) && (!pick || pick(u))).length;
+    return { count, missingIds };
+}
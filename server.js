@@ -2,11 +2,21 @@ import "dotenv/config";
 import express from "express";
 import cors from "cors";
 import fetch from "node-fetch";
+import { FieldPath, FieldValue } from "firebase-admin/firestore";
 import { db } from "./firebase.js";
 import { runSync, seedNewestPublishedGames, normalizeGame, upsertGames } from "./sync.js";
 import { deleteCollection } from "./admin.js";
 import { fetchGamesPage } from "./slotslaunch.js";
-import { initTelegramBot } from "./telegramBot.js";
+import { initTelegramBot, forgetUser } from "./telegramBot.js";
+import { listRecentBroadcasts, getBroadcast, toBroadcastReport, requestBroadcastControl } from "./broadcasts.js";
+import { getWebAppUser } from "./webAppAuth.js";
+import { resolveTrackedLink, verifiedLinkUser, recordLinkClick } from "./trackedLinks.js";
+import { loadSourceReport } from "./attribution.js";
+import { listTopReferrers, loadReferralDays } from "./referrals.js";
+import { exportUserData, deleteUserData } from "./userData.js";
+import { loadBotStats } from "./stats.js";
+import { keyName, toClientGame } from "./gameSearch.js";
+import { getHomeSections, invalidateHomeSections, isQuotaError, setPinnedBestIds, setPinnedCasualIds } from "./homeSections.js";
 
 
 const app = express();
@@ -57,6 +67,44 @@ function cacheSet(ip, data) {
     geoCache.set(ip, { ts: Date.now(), data });
 }
 
+// When the mini app identifies the Telegram user, keep their country on the users doc
+// (used for broadcast segments). Only existing bot users are updated.
+function rememberUserCountry(req, geo) {
+    const user = getWebAppUser(req);
+    if (!user || !geo?.countryCode) return;
+
+    db()
+        .collection("users")
+        .doc(String(user.id))
+        .update({
+            country: geo.country || null,
+            countryCode: String(geo.countryCode).toUpperCase(),
+            geoUpdatedAt: new Date().toISOString(),
+        })
+        .catch(() => {
+            // user never started the bot (no users doc) or Firestore hiccup
+        });
+}
+
+// Per-provider game opens from the mini app; the most opened one is {favorite_provider} in broadcasts.
+function rememberGameOpen(req, game) {
+    const user = getWebAppUser(req);
+    const provider = String(game?.provider || "").trim();
+    if (!user || !provider) return;
+
+    db()
+        .collection("users")
+        .doc(String(user.id))
+        .update(
+            new FieldPath("providerOpens", provider), FieldValue.increment(1),
+            "lastGameId", String(game.id),
+            "lastGameAt", new Date().toISOString()
+        )
+        .catch(() => {
+            // user never started the bot (no users doc) or Firestore hiccup
+        });
+}
+
 async function fetchJson(url, headers = {}) {
     const r = await fetch(url, {
         headers: {
@@ -78,43 +126,9 @@ async function fetchJson(url, headers = {}) {
 /* -----------------------------
    Simple in-memory API caches
 ------------------------------ */
-const HOME_CACHE_TTL_MS = 10 * 60 * 1000; // 10 min
-let homeCache = null; // { ts, data }
-let homeInFlight = null; // Promise resolving to result array
-let homeCircuitUntil = 0; // if quota errors happen, skip Firestore until this time
-
 const GAME_CACHE_TTL_MS = 10 * 60 * 1000; // 10 min
 const gameCache = new Map(); // id -> { ts, data }
 
-function isQuotaError(e) {
-    const msg = String(e?.message || e || "");
-    return msg.includes("RESOURCE_EXHAUSTED") || msg.includes("Quota exceeded");
-}
-
-function withTimeout(promise, ms) {
-    return Promise.race([
-        promise,
-        new Promise((_, rej) => setTimeout(() => rej(new Error("timeout")), ms)),
-    ]);
-}
-
-function safeTs(v) {
-    if (typeof v === "number" && Number.isFinite(v)) return v;
-    const t = Date.parse(String(v || ""));
-    return Number.isFinite(t) ? t : 0;
-}
-
-function toClientGame(g) {
-    return {
-        id: g.id,
-        name: g.name,
-        provider: g.provider,
-        thumb: g.thumb,
-        demoUrl: g.embedUrl,
-        rtp: g.rtp ?? null,
-    };
-}
-
 /* -----------------------------
    Best-games pinning (NEW)
 ------------------------------ */
@@ -137,66 +151,6 @@ const DEFAULT_CASUAL_GAMES = [
     { name: "Aviamasters", provider: "BGaming" },
 ];
 
-function keyName(s) {
-    return String(s || "")
-        .toLowerCase()
-        .replace(/&/g, " and ")
-        .replace(/[^a-z0-9]+/g, " ")
-        .trim()
-        .replace(/\s+/g, " ");
-}
-
-async function getPinnedBestIds() {
-    const firestore = db();
-    const snap = await firestore.collection("meta").doc("curation").get();
-    if (!snap.exists) return [];
-    const ids = snap.data()?.bestPinnedIds;
-    return Array.isArray(ids) ? ids.map(String).filter(Boolean) : [];
-}
-
-async function setPinnedBestIds(ids) {
-    const firestore = db();
-    await firestore.collection("meta").doc("curation").set(
-        {
-            bestPinnedIds: ids.map(String),
-            updatedAt: new Date().toISOString(),
-        },
-        { merge: true }
-    );
-}
-
-async function getPinnedCasualIds() {
-    const firestore = db();
-    const snap = await firestore.collection("meta").doc("curation").get();
-    if (!snap.exists) return [];
-    const ids = snap.data()?.casualPinnedIds;
-    return Array.isArray(ids) ? ids.map(String).filter(Boolean) : [];
-}
-
-async function setPinnedCasualIds(ids) {
-    const firestore = db();
-    await firestore.collection("meta").doc("curation").set(
-        {
-            casualPinnedIds: ids.map(String),
-            updatedAt: new Date().toISOString(),
-        },
-        { merge: true }
-    );
-}
-
-function mergePinnedFirst(pinnedDocs, poolDocs, limit) {
-    const pinnedIds = new Set(pinnedDocs.map((g) => String(g.id)));
-    const merged = [...pinnedDocs];
-
-    for (const g of poolDocs) {
-        if (merged.length >= limit) break;
-        if (pinnedIds.has(String(g.id))) continue;
-        merged.push(g);
-    }
-
-    return merged.slice(0, limit);
-}
-
 /* -----------------------------
    Debug / health
 ------------------------------ */
@@ -219,6 +173,7 @@ app.get("/api/geo", async (req, res) => {
 
         const cached = cacheGet(ip);
         if (cached) {
+            rememberUserCountry(req, cached);
             res.json({ ok: true, cached: true, ...cached });
             return;
         }
@@ -240,6 +195,7 @@ app.get("/api/geo", async (req, res) => {
                     : payload.country || payload.city || "Unknown";
 
             cacheSet(ip, payload);
+            rememberUserCountry(req, payload);
             res.json({ ok: true, cached: false, ...payload });
             return;
         }
@@ -263,6 +219,7 @@ app.get("/api/geo", async (req, res) => {
                     : payload.country || payload.city || "Unknown";
 
             cacheSet(ip, payload);
+            rememberUserCountry(req, payload);
             res.json({ ok: true, cached: false, ...payload });
             return;
         }
@@ -279,131 +236,12 @@ app.get("/api/geo", async (req, res) => {
 });
 
 /* -----------------------------
-   HOME: single Firestore read + cache + stale fallback
+   HOME: sections shared with the bot (see homeSections.js)
 ------------------------------ */
 app.get("/api/home", async (req, res) => {
     try {
-        if (homeCache && Date.now() - homeCache.ts < HOME_CACHE_TTL_MS) {
-            res.json(homeCache.data);
-            return;
-        }
-
-        if (Date.now() < homeCircuitUntil) {
-            if (homeCache?.data) res.json(homeCache.data);
-            else res.status(503).json({ error: "Temporarily unavailable" });
-            return;
-        }
-
-        if (!homeInFlight) {
-            homeInFlight = (async () => {
-                const firestore = db();
-
-                const [snap, exclusiveSnap, rtpSnap] = await Promise.all([
-                    firestore
-                        .collection("games")
-                        .where("enabled", "==", true)
-                        .limit(220)
-                        .get(),
-                    firestore
-                        .collection("games")
-                        .where("enabled", "==", true)
-                        .limit(5000)
-                        .get(),
-                    firestore
-                        .collection("games")
-                        .where("enabled", "==", true)
-                        .limit(5000)
-                        .get(),
-                ]);
-
-                const docs = snap.docs.map((d) => d.data());
-                const exclusivePool = exclusiveSnap.docs.map((d) => d.data());
-                const rtpPool = rtpSnap.docs.map((d) => d.data());
-
-                const byUpdated = [...docs].sort(
-                    (a, b) => safeTs(b.updatedAtTs ?? b.updatedAt) - safeTs(a.updatedAtTs ?? a.updatedAt)
-                );
-                const byCreated = [...docs].sort(
-                    (a, b) => safeTs(b.createdAtTs ?? b.createdAt) - safeTs(a.createdAtTs ?? a.createdAt)
-                );
-
-                const valentineRegex = /\b(valentine'?s?|romance|romantic|cupid|heart|hearts|kiss|lover|lovers|love|lovely|amour)\b/i;
-                const excludedRegex = /\b(leprechaun|clover|st\.?\s*patrick|shamrock|irish)\b/i;
-
-                const exclusive = exclusivePool.filter((g) => {
-                    const name = String(g.name || "");
-                    return valentineRegex.test(name) && !excludedRegex.test(name);
-                }).sort(
-                    (a, b) => safeTs(b.updatedAtTs ?? b.updatedAt) - safeTs(a.updatedAtTs ?? a.updatedAt)
-                );
-
-                // NEW: pinned best games first
-                const pinnedIds = await getPinnedBestIds();
-                let pinnedDocs = [];
-                if (pinnedIds.length) {
-                    const refs = pinnedIds.map((id) => firestore.collection("games").doc(String(id)));
-                    const snaps = await firestore.getAll(...refs);
-                    pinnedDocs = snaps
-                        .filter((s) => s.exists)
-                        .map((s) => s.data())
-                        .filter((g) => g?.enabled === true)
-                        .sort((a, b) => pinnedIds.indexOf(String(a.id)) - pinnedIds.indexOf(String(b.id)));
-                }
-
-                const casualPinnedIds = await getPinnedCasualIds();
-                let casualPinnedDocs = [];
-                if (casualPinnedIds.length) {
-                    const refs = casualPinnedIds.map((id) => firestore.collection("games").doc(String(id)));
-                    const snaps = await firestore.getAll(...refs);
-                    casualPinnedDocs = snaps
-                        .filter((s) => s.exists)
-                        .map((s) => s.data())
-                        .filter((g) => g?.enabled === true)
-                        .sort((a, b) => casualPinnedIds.indexOf(String(a.id)) - casualPinnedIds.indexOf(String(b.id)));
-                }
-
-                const bestMerged = mergePinnedFirst(pinnedDocs, byUpdated, 50).map(toClientGame);
-                const casualGames = casualPinnedDocs.map(toClientGame);
-
-                const newGames = byCreated.slice(0, 50).map(toClientGame);
-
-                const rtp97Games = rtpPool
-                    .filter((g) => Number.isFinite(g.rtp) && g.rtp >= 96)
-                    .sort((a, b) => (b.rtp ?? 0) - (a.rtp ?? 0))
-                    .slice(0, 50)
-                    .map(toClientGame);
-
-
-                const exclusiveGames = exclusive.map(toClientGame);
-
-                return [
-                    { id: "exclusive", title: "Exclusive games", icon: "🎁", games: exclusiveGames },
-                    { id: "best", title: "Best games", icon: "⭐", games: bestMerged },
-                    { id: "casual", title: "Casual games", icon: "🎮", games: casualGames },
-                    { id: "new", title: "New games", icon: "🆕", games: newGames },
-                    { id: "rtp97", title: "RTP 96%", icon: "🎯", games: rtp97Games },
-                ];
-            })()
-                .then((data) => {
-                    homeCache = { ts: Date.now(), data };
-                    return data;
-                })
-                .catch((e) => {
-                    if (isQuotaError(e)) homeCircuitUntil = Date.now() + 60 * 1000;
-                    throw e;
-                })
-                .finally(() => {
-                    homeInFlight = null;
-                });
-        }
-
-        const data = await withTimeout(homeInFlight, 2500);
-        res.json(data);
+        res.json(await getHomeSections());
     } catch (e) {
-        if (isQuotaError(e) && homeCache?.data) {
-            res.json(homeCache.data);
-            return;
-        }
         res.status(503).json({ error: String(e.message || e) });
     }
 });
@@ -416,6 +254,7 @@ app.get("/api/games/:id", async (req, res) => {
 
     const cached = gameCache.get(id);
     if (cached && Date.now() - cached.ts < GAME_CACHE_TTL_MS) {
+        rememberGameOpen(req, cached.data);
         res.json(cached.data);
         return;
     }
@@ -451,6 +290,7 @@ app.get("/api/games/:id", async (req, res) => {
         const payload = toClientGame(g);
 
         gameCache.set(id, { ts: Date.now(), data: payload });
+        rememberGameOpen(req, payload);
         res.json(payload);
     } catch (e) {
         if (isQuotaError(e) && cached?.data) {
@@ -472,7 +312,7 @@ app.post("/api/sync", async (req, res) => {
         }
 
         const info = await runSync();
-        homeCache = null;
+        invalidateHomeSections();
 
         res.json({ ok: true, info });
     } catch (e) {
@@ -572,7 +412,7 @@ app.post("/api/admin/best-games/pull", async (req, res) => {
             await upsertGames(found);
             await setPinnedBestIds(found.map((g) => String(g.id)));
 
-            homeCache = null;
+            invalidateHomeSections();
             gameCache.clear();
         }
 
@@ -616,7 +456,7 @@ app.post("/api/admin/best-games/pin", async (req, res) => {
 
         await setPinnedBestIds(existing);
 
-        homeCache = null;
+        invalidateHomeSections();
         gameCache.clear();
 
         res.json({ ok: true, pinned: existing, missing: ids.filter((id) => !existing.includes(id)) });
@@ -717,7 +557,7 @@ app.post("/api/admin/casual-games/pull", async (req, res) => {
             await upsertGames(found);
             await setPinnedCasualIds(found.map((g) => String(g.id)));
 
-            homeCache = null;
+            invalidateHomeSections();
             gameCache.clear();
         }
 
@@ -760,7 +600,7 @@ app.post("/api/admin/casual-games/pin", async (req, res) => {
 
         await setPinnedCasualIds(existing);
 
-        homeCache = null;
+        invalidateHomeSections();
         gameCache.clear();
 
         res.json({ ok: true, pinned: existing, missing: ids.filter((id) => !existing.includes(id)) });
@@ -771,6 +611,205 @@ app.post("/api/admin/casual-games/pin", async (req, res) => {
 
 
 
+/* -----------------------------
+   ADMIN: broadcast delivery reports
+------------------------------ */
+app.get("/api/admin/broadcasts", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const limit = Math.min(Math.max(Number(req.query?.limit ?? 20) || 20, 1), 100);
+        const list = await listRecentBroadcasts(limit);
+
+        res.json({ ok: true, broadcasts: list.map(toBroadcastReport) });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+app.get("/api/admin/broadcasts/:id", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const b = await getBroadcast(String(req.params.id));
+        if (!b) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        res.json({ ok: true, broadcast: toBroadcastReport(b) });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Body: { action: "pause" | "resume" | "abort", deleteSent?: boolean }.
+// The running delivery picks the request up within a few seconds; a resumed broadcast
+// continues on the next scheduler tick.
+app.post("/api/admin/broadcasts/:id/control", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const action = String(req.body?.action || "");
+        if (!["pause", "resume", "abort"].includes(action)) {
+            res.status(400).json({ error: "action must be pause, resume or abort" });
+            return;
+        }
+
+        const id = String(req.params.id);
+        const b = await requestBroadcastControl(id, action, { deleteSent: req.body?.deleteSent === true, by: "api" });
+        if (!b) {
+            const current = await getBroadcast(id);
+            if (!current) {
+                res.status(404).json({ error: "Not found" });
+                return;
+            }
+            res.status(409).json({ error: `Cannot ${action} a broadcast with status ${current.status}` });
+            return;
+        }
+
+        res.json({ ok: true, broadcast: toBroadcastReport(b), control: b.control || null });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: user stats
+------------------------------ */
+app.get("/api/admin/stats", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        res.json({ ok: true, ...(await loadBotStats()) });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: personal data requests
+------------------------------ */
+app.get("/api/admin/users/:id/export", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const userId = Number(req.params.id);
+        if (!Number.isSafeInteger(userId) || userId <= 0) {
+            res.status(400).json({ error: "Invalid user id" });
+            return;
+        }
+
+        const data = await exportUserData(userId);
+        if (!data) {
+            res.status(404).json({ error: "Not found" });
+            return;
+        }
+
+        res.json({ ok: true, data });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+app.post("/api/admin/users/:id/delete", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const userId = Number(req.params.id);
+        if (!Number.isSafeInteger(userId) || userId <= 0) {
+            res.status(400).json({ error: "Invalid user id" });
+            return;
+        }
+
+        const deleted = await deleteUserData(userId);
+        forgetUser(userId);
+        res.json({ ok: true, deleted });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   ADMIN: deep-link attribution and referrals
+------------------------------ */
+// ?days=30 (max 90): per-source totals and daily signups/starts by source.
+app.get("/api/admin/sources", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const report = await loadSourceReport(Number(req.query?.days ?? 30) || 30);
+        res.json({ ok: true, ...report });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// ?days=30 (max 90)&limit=20: top referrers and referred signups per day.
+app.get("/api/admin/referrals", async (req, res) => {
+    try {
+        if (!requireSecret(req)) {
+            res.status(401).json({ error: "Unauthorized" });
+            return;
+        }
+
+        const limit = Math.min(Math.max(Number(req.query?.limit ?? 20) || 20, 1), 100);
+        const [top, days] = await Promise.all([
+            listTopReferrers(limit),
+            loadReferralDays(Number(req.query?.days ?? 30) || 30),
+        ]);
+        res.json({ ok: true, top, ...days });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+/* -----------------------------
+   Tracked broadcast links
+------------------------------ */
+app.get("/r/:code", async (req, res) => {
+    try {
+        const code = String(req.params.code);
+        const link = await resolveTrackedLink(code);
+        if (!link) {
+            res.status(404).send("Link not found");
+            return;
+        }
+
+        const userId = verifiedLinkUser(code, req.query?.u, req.query?.s);
+
+        // Do not hold the redirect on the click log.
+        recordLinkClick({ code, broadcastId: link.broadcastId, variant: link.variant, url: link.url, userId }).catch(
+            (e) => console.error("recordLinkClick failed:", e?.message || e)
+        );
+
+        res.redirect(302, link.url);
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
 /* -----------------------------
    ADMIN reset (unchanged)
 ------------------------------ */
@@ -787,7 +826,7 @@ app.post("/api/admin/reset", async (req, res) => {
 
         const info = await seedNewestPublishedGames({ target });
 
-        homeCache = null;
+        invalidateHomeSections();
         gameCache.clear();
 
         res.json({ ok: true, info });
@@ -859,7 +898,7 @@ app.post("/api/admin/refresh-providers", async (req, res) => {
         }
 
         // Clear caches so home reflects updated providers immediately
-        homeCache = null;
+        invalidateHomeSections();
         gameCache.clear();
 
         res.json({ ok: true, totalInDb: ids.length, updated, batches });
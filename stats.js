@@ -0,0 +1,53 @@
+import { db } from "./firebase.js";
+import { loadAudienceStats, listRecentBroadcasts, toBroadcastReport } from "./broadcasts.js";
+import { loadSourceReport } from "./attribution.js";
+import { listTopSharedGames } from "./gameShares.js";
+
+// Bot audience overview for /stats and /api/admin/stats. Nothing here reads user docs one by one:
+// totals and activity are count() aggregations, new users and sources come from the daily
+// startSourceDays aggregates (kept since deep-link attribution was added).
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ACTIVE_WINDOWS = { day: 1, week: 7, month: 30 };
+const NEW_USER_DAYS = 28;
+
+async function countActiveSince(ts) {
+    const snap = await db().collection("users").where("lastSeenAt", ">=", new Date(ts).toISOString()).count().get();
+    return snap.data().count;
+}
+
+export async function loadBotStats({ topSources = 10, recentBroadcasts = 5, topShared = 5 } = {}, now = Date.now()) {
+    const [audience, report, broadcasts, sharedGames, ...active] = await Promise.all([
+        loadAudienceStats(),
+        loadSourceReport(NEW_USER_DAYS, now),
+        listRecentBroadcasts(recentBroadcasts),
+        listTopSharedGames(topShared),
+        ...Object.values(ACTIVE_WINDOWS).map((days) => countActiveSince(now - days * DAY_MS)),
+    ]);
+
+    // daily is oldest first and ends today
+    const daily = report.daily.map((d) => ({
+        day: d.day,
+        count: Object.values(d.signups).reduce((sum, n) => sum + (Number(n) || 0), 0),
+    }));
+    const weekly = [];
+    for (let end = daily.length; end > 0; end -= 7) {
+        const week = daily.slice(Math.max(0, end - 7), end);
+        weekly.unshift({ from: week[0].day, to: week[week.length - 1].day, count: week.reduce((sum, d) => sum + d.count, 0) });
+    }
+
+    return {
+        generatedAt: new Date(now).toISOString(),
+        users: {
+            ...audience,
+            active: Object.fromEntries(Object.keys(ACTIVE_WINDOWS).map((k, i) => [k, active[i]])),
+        },
+        newUsers: {
+            today: daily[daily.length - 1].count,
+            daily: daily.slice(-7),
+            weekly,
+        },
+        topSources: report.sources.filter((s) => s.signups > 0).slice(0, topSources),
+        recentBroadcasts: broadcasts.map(toBroadcastReport),
+        topSharedGames: sharedGames.map((g) => ({ id: g.id, name: g.name, provider: g.provider, shares: g.shares })),
+    };
+}
@@ -1,6 +1,7 @@
 import { db } from "./firebase.js";
 import { fetchGamesPage, buildEmbedUrl } from "./slotslaunch.js";
 import { CATEGORY_DEFS } from "./categories.js";
+import { queueNewGames } from "./providerDigests.js";
 
 const PER_PAGE = 150;
 // const FULL_SYNC = String(process.env.FULL_SYNC || "").toLowerCase() === "true";
@@ -83,25 +84,32 @@ export function normalizeGame(g) {
 }
 
 
-export async function upsertGames(games) {
+// detectNew: also read the chunk first and return the games that had no doc yet (runSync queues
+// them for the provider digests); without it the upsert is writes only and returns [].
+export async function upsertGames(games, { detectNew = false } = {}) {
     const firestore = db();
     const chunkSize = 250;
+    const created = [];
 
     for (let i = 0; i < games.length; i += chunkSize) {
         const batch = firestore.batch();
         const chunk = games.slice(i, i + chunkSize);
+        const refs = chunk.map((g) => firestore.collection("games").doc(String(g.id)));
+        const existing = detectNew && refs.length ? await firestore.getAll(...refs) : null;
 
-        for (const g of chunk) {
-            const docRef = firestore.collection("games").doc(String(g.id));
+        chunk.forEach((g, j) => {
+            if (existing && !existing[j].exists) created.push(g);
             batch.set(
-                docRef,
+                refs[j],
                 { ...g, syncedAt: new Date().toISOString() },
                 { merge: true }
             );
-        }
+        });
 
         await batch.commit();
     }
+
+    return created;
 }
 
 async function getLastSyncDate() {
@@ -269,6 +277,7 @@ export async function runSync() {
     let totalFetched = 0;
     let lastSeenUpdatedAt = null;
     let lastPage = null;
+    const newGames = [];
 
     while (true) {
         const data = await fetchGamesPage({ page, perPage: PER_PAGE, updatedAt });
@@ -283,7 +292,7 @@ export async function runSync() {
         const normalized = rawGames.map(normalizeGame);
         const publishedOnly = normalized.filter((g) => g.published === true);
 
-        await upsertGames(publishedOnly);
+        newGames.push(...(await upsertGames(publishedOnly, { detectNew: true })));
 
         totalFetched += publishedOnly.length;
 
@@ -310,7 +319,13 @@ export async function runSync() {
 
     await setLastSyncDate(toDateStringYYYYMMDD(new Date()));
 
-    return { totalFetched, updatedAtUsed: updatedAt, lastSeenUpdatedAt, lastPage, runId };
+    // Picked up by the bot's provider digests; the sync itself already succeeded.
+    const queuedNewGames = await queueNewGames(newGames).catch((e) => {
+        console.error("queueNewGames failed:", e?.message || e);
+        return null;
+    });
+
+    return { totalFetched, newGames: newGames.length, queuedNewGames, updatedAtUsed: updatedAt, lastSeenUpdatedAt, lastPage, runId };
 }
 
 
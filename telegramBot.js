@@ -1,7 +1,87 @@
 // /Users/eriks/Desktop/FreakSlots/backend/telegramBot.js
 import TelegramBot from "node-telegram-bot-api";
 import util from "node:util";
+import { FieldValue } from "firebase-admin/firestore";
 import { db } from "./firebase.js";
+import {
+    saveSchedule,
+    getSchedule,
+    updateSchedule,
+    editSchedule,
+    listActiveSchedules,
+    listDueSchedules,
+    claimScheduleRun,
+    newBroadcastDoc,
+    createBroadcast,
+    updateBroadcast,
+    claimBroadcast,
+    getBroadcast,
+    listRecentBroadcasts,
+    toBroadcastReport,
+    claimRollout,
+    releaseRollout,
+    listInterruptedBroadcasts,
+    requestBroadcastControl,
+    listPendingDeletions,
+    claimDeletion,
+    recordSentMessages,
+    fetchSentPage,
+    purgeSentRecords,
+    SENT_DELETABLE_MS,
+    fetchAudiencePage,
+    getUser,
+    setMarketingConsent,
+    createDraft,
+    getDraft,
+    updateDraft,
+    listPendingDrafts,
+    decideDraft,
+    saveCallbackButton,
+    getCallbackButton,
+    recordCallbackButtonClick,
+} from "./broadcasts.js";
+import {
+    SEGMENT_TYPES,
+    MAX_SEGMENT_IDS,
+    parseSegmentInput,
+    segmentMatcher,
+    describeSegment,
+    isBroadcastRecipient,
+    countSegmentAudience,
+} from "./segments.js";
+import {
+    DEFAULT_SCHEDULE_TIME_ZONE,
+    MAX_INTERVAL_HOURS,
+    isValidTimeZone,
+    scheduleTimeZone,
+    formatWeekdays,
+    parseScheduleInput,
+    parseEndDateInput,
+    parseMaxRunsInput,
+    changeScheduleTimeZone,
+    advanceSchedule,
+    fmtTs,
+} from "./scheduleTime.js";
+import { trackedLinkTargets, trackedLinkCode, trackedLinkUrl } from "./trackedLinks.js";
+import { TEMPLATE_VARIABLES, templateVariablesIn, templateVarsForUser, loadTemplateShared, renderPayload } from "./templates.js";
+import { VARIANT_KEYS, MAX_VARIANTS, TEST_SHARE_OPTIONS, variantForUser, isHeldBack } from "./abTest.js";
+import { DIRECT_SOURCE, parseStartPayload, recordStartAttribution, loadSourceReport } from "./attribution.js";
+import { inviteLink, recordReferral, getReferralCount, listTopReferrers, loadReferralDays } from "./referrals.js";
+import { exportUserData, deleteUserData } from "./userData.js";
+import { loadBotStats } from "./stats.js";
+import { MIN_SEARCH_QUERY_LEN, keyName, toClientGame, searchGames, listProviders, gamesByProvider } from "./gameSearch.js";
+import { getHomeSections } from "./homeSections.js";
+import { gotdConfig, gotdDayKey, isGotdTime, getGotd, listGotdHistory, pickGameOfTheDay, claimGotd, updateGotd, isGotdRetryDue } from "./gameOfTheDay.js";
+import {
+    digestDay,
+    loadDigestQueue,
+    purgeDigestQueue,
+    listProviderSubscribers,
+    setProviderSubscription,
+    markDigestSent,
+} from "./providerDigests.js";
+import { recordGameShare, listTopSharedGames } from "./gameShares.js";
+import { WELCOME_FALLBACK_LANG, normalizeWelcomeLang, listWelcomes, saveWelcome, deleteWelcome, getWelcomeFor } from "./welcomeMessages.js";
 
 function requireEnv(name) {
     const v = process.env[name];
@@ -25,22 +105,104 @@ function isAdmin(userId) {
     return ADMIN_USER_IDS.includes(Number(userId));
 }
 
-async function addUser(userId, username) {
+// "Send test" delivers drafts to these chats only (users or a group with the bot in it).
+const TEST_CHAT_IDS = (process.env.TG_BROADCAST_TEST_CHAT_IDS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => Number(s))
+    .filter((n) => Number.isFinite(n));
+
+// A second admin has to approve sends and schedules. Needs at least two admins to be usable.
+const APPROVAL_REQUIRED =
+    String(process.env.TG_BROADCAST_REQUIRE_APPROVAL || "").toLowerCase() === "true" && ADMIN_USER_IDS.length > 1;
+
+// Telegram profile of a user as stored on users/<id>.
+function userProfile(from) {
+    return {
+        id: Number(from.id),
+        username: from.username || "",
+        firstName: from.first_name || "", // {first_name} in broadcast templates
+        lastName: from.last_name || "",
+        languageCode: from.language_code || "",
+        isPremium: from.is_premium === true,
+    };
+}
+
+// Users whose firstSeenAt is known to be set; avoids a transaction on every interaction.
+const firstSeenRecorded = new Set();
+
+// Sets firstSeenAt once. Docs created before it existed get the doc's creation time.
+async function ensureFirstSeen(userId, now) {
+    if (firstSeenRecorded.has(userId)) return;
+
     const firestore = db();
-    await firestore.collection("users").doc(String(userId)).set(
+    const ref = firestore.collection("users").doc(String(userId));
+    await firestore.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (snap.data()?.firstSeenAt) return;
+        tx.set(ref, { firstSeenAt: snap.exists ? snap.createTime.toDate().toISOString() : now }, { merge: true });
+    });
+
+    if (firstSeenRecorded.size > 50000) firstSeenRecorded.clear();
+    firstSeenRecorded.add(userId);
+}
+
+// After the user's data was deleted (/deleteme or the admin endpoint).
+export function forgetUser(userId) {
+    firstSeenRecorded.delete(Number(userId));
+}
+
+// Called on /start and on every later private interaction (messages, button taps).
+async function addUser(from) {
+    const firestore = db();
+    const now = new Date().toISOString();
+
+    await ensureFirstSeen(Number(from.id), now);
+    await firestore.collection("users").doc(String(from.id)).set(
         {
-            id: Number(userId),
-            username: username || "",
-            updatedAt: new Date().toISOString(),
+            ...userProfile(from),
+            updatedAt: now,
+            lastSeenAt: now,
+            interactionCount: FieldValue.increment(1),
+            // Talking to the bot means the user has not blocked it (anymore).
+            blockedAt: null,
+            lastError: null,
         },
         { merge: true }
     );
 }
 
-async function getAllUsers() {
+async function markUserBlocked(userId, lastError) {
     const firestore = db();
-    const snap = await firestore.collection("users").get();
-    return snap.docs.map((d) => d.data()?.id).filter(Boolean);
+    await firestore.collection("users").doc(String(userId)).set(
+        {
+            blockedAt: new Date().toISOString(),
+            lastError: String(lastError || "").slice(0, 300),
+        },
+        { merge: true }
+    );
+}
+
+function telegramErrorInfo(err) {
+    let body = err?.response?.body;
+    if (typeof body === "string") {
+        try {
+            body = JSON.parse(body);
+        } catch {
+            body = null;
+        }
+    }
+    return {
+        code: Number(body?.error_code) || null,
+        description: String(body?.description || err?.message || err || ""),
+        retryAfter: Number(body?.parameters?.retry_after) || null,
+    };
+}
+
+// 403 covers "bot was blocked by the user", "user is deactivated" and "bot was kicked".
+function isBlockedError(err) {
+    return telegramErrorInfo(err).code === 403;
 }
 
 function logFullError(prefix, err) {
@@ -70,133 +232,76 @@ function makeId() {
     return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
 }
 
-const SCHEDULE_TIME_ZONE = "Europe/Riga";
-const tzPartsFormatter = new Intl.DateTimeFormat("en-CA", {
-    timeZone: SCHEDULE_TIME_ZONE,
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    hourCycle: "h23",
-});
-
-function getTimeZoneParts(ts) {
-    const map = {};
-    for (const p of tzPartsFormatter.formatToParts(new Date(ts))) {
-        if (p.type !== "literal") map[p.type] = p.value;
-    }
-    return {
-        year: Number(map.year),
-        month: Number(map.month),
-        day: Number(map.day),
-        hour: Number(map.hour),
-        minute: Number(map.minute),
-        second: Number(map.second),
-    };
+/* -----------------------------
+   Broadcast delivery tuning
+------------------------------ */
+// Telegram allows ~30 messages/sec per bot and ~1 message/sec per chat.
+const BROADCAST_MSGS_PER_SEC = Number(process.env.TG_BROADCAST_RATE || 25);
+const BROADCAST_CONCURRENCY = Number(process.env.TG_BROADCAST_CONCURRENCY || 8);
+const PER_CHAT_MIN_INTERVAL_MS = 1000;
+const MAX_SEND_ATTEMPTS = 5;
+const AUDIENCE_PAGE_SIZE = 100;
+const CHECKPOINT_EVERY_MS = 3000;
+const PROGRESS_EVERY_MS = 30 * 1000;
+const BROADCAST_LOCK_MS = 2 * 60 * 1000;
+const SENT_PAGE_SIZE = 20; // sent/ docs per page; a chunk holds up to 500 users
+const SENT_PURGE_EVERY_MS = 60 * 60 * 1000;
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function getTimeZoneOffsetMs(ts) {
-    const p = getTimeZoneParts(ts);
-    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second, 0);
-    return asUtc - ts;
-}
+// Spaces out calls to `perSecond`; pause(ms) holds everyone back (Telegram 429 retry_after).
+function createRateLimiter(perSecond) {
+    const intervalMs = 1000 / perSecond;
+    let nextAt = 0;
+    let pausedUntil = 0;
 
-function wallTimeToUtcMs(year, month, day, hour, minute) {
-    const baseUtc = Date.UTC(year, month - 1, day, hour, minute, 0, 0);
-    let ts = baseUtc;
-
-    // Iterate to stabilize offset around DST boundaries.
-    for (let i = 0; i < 3; i += 1) {
-        const offset = getTimeZoneOffsetMs(ts);
-        const nextTs = baseUtc - offset;
-        if (nextTs === ts) break;
-        ts = nextTs;
-    }
-
-    // Reject impossible wall-times (for DST jumps).
-    const check = getTimeZoneParts(ts);
-    if (
-        check.year !== year ||
-        check.month !== month ||
-        check.day !== day ||
-        check.hour !== hour ||
-        check.minute !== minute
-    ) {
-        return null;
-    }
+    return {
+        async take() {
+            while (true) {
+                const now = Date.now();
+                if (pausedUntil > now) {
+                    await sleep(pausedUntil - now);
+                    continue;
+                }
 
-    return ts;
+                const at = Math.max(now, nextAt);
+                nextAt = at + intervalMs;
+                if (at > now) await sleep(at - now);
+                if (pausedUntil <= Date.now()) return;
+            }
+        },
+        pause(ms) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        },
+    };
 }
 
-function parseDateTimeLocal(input) {
-    // expected: YYYY-MM-DD HH:mm
-    const m = String(input || "").trim().match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{2}):(\d{2})$/);
-    if (!m) return null;
-    const [, y, mo, d, h, mi] = m;
-
-    const year = Number(y);
-    const month = Number(mo);
-    const day = Number(d);
-    const hour = Number(h);
-    const minute = Number(mi);
-    if (
-        !Number.isInteger(year) ||
-        month < 1 ||
-        month > 12 ||
-        day < 1 ||
-        day > 31 ||
-        hour < 0 ||
-        hour > 23 ||
-        minute < 0 ||
-        minute > 59
-    ) return null;
-
-    const ts = wallTimeToUtcMs(year, month, day, hour, minute);
-    if (!Number.isFinite(ts)) return null;
-    return new Date(ts);
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const item = items[next];
+            next += 1;
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
 }
 
-function parseHHMM(input) {
-    const m = String(input || "").trim().match(/^(\d{2}):(\d{2})$/);
-    if (!m) return null;
-    const hh = Number(m[1]);
-    const mm = Number(m[2]);
-    if (hh < 0 || hh > 23 || mm < 0 || mm > 59) return null;
-    return { hh, mm, label: `${m[1]}:${m[2]}` };
-}
+function payloadPreviewText(payload, maxLen = 80) {
+    const album = Array.isArray(payload?.mediaGroup) ? payload.mediaGroup : [];
+    const prefix = album.length ? `Album (${album.length}): ` : "";
 
-function nextDailyRunAt(hh, mm, from = new Date()) {
-    const nowMs = from.getTime();
-    const nowParts = getTimeZoneParts(nowMs);
-    const dayStartUtc = Date.UTC(nowParts.year, nowParts.month - 1, nowParts.day, 0, 0, 0, 0);
-
-    for (let i = 0; i < 14; i += 1) {
-        const d = new Date(dayStartUtc + i * 24 * 60 * 60 * 1000);
-        const ts = wallTimeToUtcMs(
-            d.getUTCFullYear(),
-            d.getUTCMonth() + 1,
-            d.getUTCDate(),
-            hh,
-            mm
-        );
-        if (!Number.isFinite(ts)) continue;
-        if (ts > nowMs) return ts;
+    const raw = payload?.text || payload?.caption || album.find((m) => m.caption)?.caption || "";
+    const oneLine = String(raw).replace(/\s+/g, " ").trim();
+    if (oneLine) {
+        const room = maxLen - prefix.length;
+        return prefix + (oneLine.length > room ? `${oneLine.slice(0, room - 1)}…` : oneLine);
     }
 
-    return nowMs + 24 * 60 * 60 * 1000;
-}
-
-function fmtTs(ts) {
-    const p = getTimeZoneParts(ts);
-    return `${String(p.year).padStart(4, "0")}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")} ${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")} (Riga)`;
-}
-
-function payloadPreviewText(payload, maxLen = 80) {
-    const raw = payload?.text || payload?.caption || "";
-    const oneLine = String(raw).replace(/\s+/g, " ").trim();
-    if (oneLine) return oneLine.length > maxLen ? `${oneLine.slice(0, maxLen - 1)}…` : oneLine;
+    if (album.length) return `Album (${album.length} items)`;
 
     if (payload?.photoFileId) return "Photo";
     if (payload?.videoFileId) return "Video";
@@ -218,6 +323,56 @@ function normalizeHttpUrl(input) {
     }
 }
 
+/* -----------------------------
+   Broadcast buttons
+------------------------------ */
+// payload.buttons is a flat list (Firestore does not allow nested arrays):
+//   { row, type: "url", text, url }
+//   { row, type: "web_app", text, url }     opens the mini app (url built from TG_WEBAPP_URL)
+//   { row, type: "callback", text, id }     reply text lives in broadcastButtons/<id>
+const MAX_BUTTON_ROWS = 10;
+const MAX_BUTTONS_PER_ROW = 8;
+const MAX_BUTTON_REPLY_LEN = 200;
+
+// Accepts "home", "game <id>" or "category <id>".
+function parseWebAppTarget(input) {
+    const raw = String(input || "").trim();
+    if (/^home$/i.test(raw)) return { kind: "home" };
+
+    const m = raw.match(/^(game|category)\s+(\S+)$/i);
+    if (!m) return null;
+    return { kind: m[1].toLowerCase(), id: m[2] };
+}
+
+function buildWebAppUrl(baseUrl, target) {
+    const u = new URL(baseUrl);
+    if (target?.kind === "game") u.searchParams.set("game", target.id);
+    if (target?.kind === "category") u.searchParams.set("category", target.id);
+    return u.toString();
+}
+
+function buttonRows(buttons) {
+    const rows = [];
+    for (const b of buttons || []) {
+        const row = Number(b.row) || 0;
+        (rows[row] ||= []).push(b);
+    }
+    return rows.filter((r) => r?.length);
+}
+
+function describeButtons(buttons) {
+    return buttonRows(buttons)
+        .map((row, i) => {
+            const items = row.map((b) => {
+                if (b.type === "callback") return `[${b.text}] (reply)`;
+                if (b.type === "web_app") return `[${b.text}] (mini app ${b.url})`;
+                return `[${b.text}] -> ${b.url}`;
+            });
+            return `Row ${i + 1}: ${items.join("  ")}`;
+        })
+        .join("\n");
+}
+
 /**
  * Call this from server.js:
  *   import { initTelegramBot } from "./telegramBot.js";
@@ -257,10 +412,10 @@ export function initTelegramBot(app) {
         .then(() => console.log("Telegram webhook set to:", webhookUrl))
         .catch((err) => logFullError("Failed to set Telegram webhook:", err));
 
-    // Temporary in-memory stores (reset on restart)
+    // Draft composer state is per-conversation and may reset on restart.
+    // Scheduled broadcasts live in Firestore (see SCHEDULES_COLLECTION).
     const broadcastState = new Map(); // adminChatId -> state object
-    const scheduledBroadcasts = new Map(); // scheduleId -> schedule object
-    const scheduleInFlight = new Set();
+    const activeDeliveries = new Map(); // broadcastId -> { stop(action) } for deliveries running in this process
     let schedulerBusy = false;
 
     function isSupportedPayload(payload) {
@@ -270,7 +425,8 @@ export function initTelegramBot(app) {
             payload?.videoFileId ||
             payload?.videoNoteFileId ||
             payload?.documentFileId ||
-            payload?.audioFileId
+            payload?.audioFileId ||
+            payload?.mediaGroup?.length
         );
     }
 
@@ -287,40 +443,106 @@ export function initTelegramBot(app) {
             videoNoteFileId: msg.video_note?.file_id || null,
             documentFileId: msg.document?.file_id || null,
             audioFileId: msg.audio?.file_id || null,
-            ctaButton: null, // optional: { text, url }
+            mediaGroup: null, // album: [{ type, fileId, caption, captionEntities }]
+            ctaButton: null, // legacy single URL button: { text, url }
+            buttons: [], // see "Broadcast buttons" above
+        };
+    }
+
+    function albumItem(msg) {
+        const caption = msg.caption || null;
+        const captionEntities = Array.isArray(msg.caption_entities) ? msg.caption_entities : null;
+
+        if (msg.photo?.length) {
+            return { type: "photo", fileId: msg.photo[msg.photo.length - 1].file_id, caption, captionEntities };
+        }
+        if (msg.video) return { type: "video", fileId: msg.video.file_id, caption, captionEntities };
+        if (msg.document) return { type: "document", fileId: msg.document.file_id, caption, captionEntities };
+        if (msg.audio) return { type: "audio", fileId: msg.audio.file_id, caption, captionEntities };
+        return null;
+    }
+
+    // An album arrives as one message per item sharing a media_group_id (see collectAlbumPart).
+    function extractAlbumPayload(chatId, messages) {
+        return {
+            ...extractPayload(chatId, messages[0]),
+            sourceMessageId: null, // albums are re-sent from file ids, copyMessage would take one item only
+            caption: null,
+            captionEntities: null,
+            photoFileId: null,
+            videoFileId: null,
+            documentFileId: null,
+            audioFileId: null,
+            mediaGroup: messages.map(albumItem).filter(Boolean),
         };
     }
 
-    function buildReplyMarkupForPayload(payload) {
+    // With tracking ({ broadcastId, userId, variant }) URL buttons point at the /r/:code redirect instead.
+    function buildReplyMarkupForPayload(payload, tracking) {
+        const targets = trackedLinkTargets(payload);
+        const linkUrl = (b) => {
+            const i = targets.indexOf(b);
+            if (!tracking?.broadcastId || i < 0) return b.url;
+            const code = trackedLinkCode(tracking.broadcastId, i, tracking.variant);
+            return trackedLinkUrl(publicBaseUrl, code, tracking.userId);
+        };
+
+        if (Array.isArray(payload?.buttons) && payload.buttons.length) {
+            const inline_keyboard = buttonRows(payload.buttons).map((row) =>
+                row.map((b) => {
+                    if (b.type === "web_app") return { text: b.text, web_app: { url: b.url } };
+                    if (b.type === "callback") return { text: b.text, callback_data: `bc_btn:${b.id}` };
+                    return { text: b.text, url: linkUrl(b) };
+                })
+            );
+            return { inline_keyboard };
+        }
+
+        // Legacy single URL button (drafts and schedules created before payload.buttons).
         const text = String(payload?.ctaButton?.text || "").trim();
         const url = String(payload?.ctaButton?.url || "").trim();
         if (!text || !url) return undefined;
         return {
-            inline_keyboard: [[{ text, url }]],
+            inline_keyboard: [[{ text, url: linkUrl(payload.ctaButton) }]],
         };
     }
 
-    async function sendPayloadToUser(targetChatId, payload) {
-        const reply_markup = buildReplyMarkupForPayload(payload);
+    // Returns the ids of the sent messages (several for an album) so a broadcast can delete them later.
+    async function sendPayloadToUser(targetChatId, payload, tracking) {
+        // Media groups cannot carry an inline keyboard.
+        if (payload.mediaGroup?.length) {
+            const media = payload.mediaGroup.map((m) => ({
+                type: m.type,
+                media: m.fileId,
+                caption: m.caption || undefined,
+                caption_entities: m.captionEntities || undefined,
+            }));
+            const sent = await bot.sendMediaGroup(targetChatId, media);
+            return sent.map((m) => m.message_id);
+        }
+
+        const reply_markup = buildReplyMarkupForPayload(payload, tracking);
 
         if (payload.sourceChatId && payload.sourceMessageId) {
             try {
-                await bot.copyMessage(targetChatId, payload.sourceChatId, payload.sourceMessageId, {
+                const m = await bot.copyMessage(targetChatId, payload.sourceChatId, payload.sourceMessageId, {
                     reply_markup,
                 });
-                return;
+                return [m.message_id];
             } catch (err) {
+                // No point in retrying another method for a chat that blocked us or when rate limited.
+                if (isBlockedError(err) || telegramErrorInfo(err).code === 429) throw err;
                 // fallback below
                 logFullError("copyMessage failed, using fallback:", err);
             }
         }
 
         if (payload.text) {
-            await bot.sendMessage(targetChatId, payload.text, {
+            const m = await bot.sendMessage(targetChatId, payload.text, {
                 entities: payload.textEntities || undefined,
                 reply_markup,
             });
-            return;
+            return [m.message_id];
         }
 
         const captionEntities = payload.captionEntities
@@ -328,79 +550,598 @@ export function initTelegramBot(app) {
             : undefined;
 
         if (payload.photoFileId) {
-            await bot.sendPhoto(targetChatId, payload.photoFileId, {
+            const m = await bot.sendPhoto(targetChatId, payload.photoFileId, {
                 caption: payload.caption || "",
                 caption_entities: captionEntities,
                 reply_markup,
             });
-            return;
+            return [m.message_id];
         }
 
         if (payload.videoFileId) {
-            await bot.sendVideo(targetChatId, payload.videoFileId, {
+            const m = await bot.sendVideo(targetChatId, payload.videoFileId, {
                 caption: payload.caption || "",
                 caption_entities: captionEntities,
                 reply_markup,
             });
-            return;
+            return [m.message_id];
         }
 
         if (payload.videoNoteFileId) {
-            await bot.sendVideoNote(targetChatId, payload.videoNoteFileId);
-            return;
+            const m = await bot.sendVideoNote(targetChatId, payload.videoNoteFileId);
+            return [m.message_id];
         }
 
         if (payload.documentFileId) {
-            await bot.sendDocument(targetChatId, payload.documentFileId, {
+            const m = await bot.sendDocument(targetChatId, payload.documentFileId, {
                 caption: payload.caption || "",
                 caption_entities: captionEntities,
                 reply_markup,
             });
-            return;
+            return [m.message_id];
         }
 
         if (payload.audioFileId) {
-            await bot.sendAudio(targetChatId, payload.audioFileId, {
+            const m = await bot.sendAudio(targetChatId, payload.audioFileId, {
                 caption: payload.caption || "",
                 caption_entities: captionEntities,
                 reply_markup,
             });
-            return;
+            return [m.message_id];
         }
 
         throw new Error("Unsupported message payload");
     }
 
-    async function sendBroadcastNow(payload) {
-        let userIds = [];
+    const globalSendLimiter = createRateLimiter(BROADCAST_MSGS_PER_SEC);
+    const chatNextSendAt = new Map(); // chatId -> earliest next send ts
+
+    async function takeChatSlot(chatId) {
+        const now = Date.now();
+        if (chatNextSendAt.size > 10000) {
+            for (const [id, ts] of chatNextSendAt) {
+                if (ts < now) chatNextSendAt.delete(id);
+            }
+        }
+
+        const at = Math.max(now, chatNextSendAt.get(chatId) || 0);
+        chatNextSendAt.set(chatId, at + PER_CHAT_MIN_INTERVAL_MS);
+        if (at > now) await sleep(at - now);
+    }
+
+    async function sendPayloadRateLimited(chatId, payload, tracking) {
+        // Every album item counts as a message towards the global limit.
+        const units = payload.mediaGroup?.length || 1;
+
+        for (let attempt = 1; ; attempt += 1) {
+            for (let i = 0; i < units; i += 1) await globalSendLimiter.take();
+            await takeChatSlot(chatId);
+
+            try {
+                return await sendPayloadToUser(chatId, payload, tracking);
+            } catch (err) {
+                const info = telegramErrorInfo(err);
+                if (info.code !== 429 || attempt >= MAX_SEND_ATTEMPTS) throw err;
+                globalSendLimiter.pause((info.retryAfter || 1) * 1000);
+            }
+        }
+    }
+
+    function broadcastProgressText(b, counts) {
+        const processed = counts.sent + counts.blocked + counts.failed;
+        const of = Number.isFinite(b.audienceTotal) ? `/${b.audienceTotal}` : "";
+        return `Broadcast ${b.id}: ${processed}${of} processed\nSent: ${counts.sent}\nBlocked: ${counts.blocked}\nFailed: ${counts.failed}`;
+    }
+
+    function progressKeyboard(b) {
+        if (b.status === "running") {
+            return {
+                inline_keyboard: [[
+                    { text: "Pause", callback_data: `bc_ctl:pause:${b.id}` },
+                    { text: "Abort", callback_data: `bc_ctl:abort_ask:${b.id}` },
+                ]],
+            };
+        }
+        if (b.status === "paused") {
+            return {
+                inline_keyboard: [[
+                    { text: "Resume", callback_data: `bc_ctl:resume:${b.id}` },
+                    { text: "Abort", callback_data: `bc_ctl:abort_ask:${b.id}` },
+                ]],
+            };
+        }
+        return { inline_keyboard: [] };
+    }
+
+    // Keeps a single progress message per broadcast up to date (edited in place).
+    async function postBroadcastProgress(b, text) {
+        if (!b.adminChatId) return;
+        const reply_markup = progressKeyboard(b);
+
+        if (b.progressMessageId) {
+            try {
+                await bot.editMessageText(text, { chat_id: b.adminChatId, message_id: b.progressMessageId, reply_markup });
+                return;
+            } catch (err) {
+                if (telegramErrorInfo(err).description.includes("message is not modified")) return;
+                // message deleted or too old: post a new one below
+            }
+        }
+
+        const m = await bot.sendMessage(b.adminChatId, text, { reply_markup });
+        b.progressMessageId = m.message_id;
+        await updateBroadcast(b.id, { progressMessageId: m.message_id });
+    }
+
+    // What a user gets from a broadcast: their variant in an A/B test (nothing outside the
+    // test slice), for a rollout only users the test held back, otherwise the one payload.
+    function deliveryPicker(b) {
+        if (b.abTest) {
+            const byKey = new Map((b.variants || []).map((v) => [v.key, v]));
+            return (u) => byKey.get(variantForUser(b.abTest, u.id)) || null;
+        }
+        if (b.rolloutOf) {
+            return (u) => (isHeldBack(b.rolloutOf, u.id) ? { key: null, payload: b.payload } : null);
+        }
+        return () => ({ key: null, payload: b.payload });
+    }
+
+    // Resolves template placeholders per recipient; payloads without any are sent as-is (copyMessage).
+    async function personalizer(b) {
+        const payloads = b.variants?.length ? b.variants.map((v) => v.payload) : [b.payload];
+        const variables = [...new Set(payloads.flatMap(templateVariablesIn))];
+        if (!variables.length) return (payload) => payload;
+
+        const shared = await loadTemplateShared(variables).catch((err) => {
+            logFullError("loadTemplateShared failed:", err);
+            return {};
+        });
+        return (payload, u) =>
+            templateVariablesIn(payload).length ? renderPayload(payload, templateVarsForUser(u, shared)) : payload;
+    }
+
+    // Delivers a claimed broadcast doc, continuing from its checkpoint. Users are walked in
+    // pages; the cursor only moves past a page once all of it was processed, and ids processed
+    // inside the current page are checkpointed every few seconds.
+    async function deliverBroadcast(b) {
+        const counts = { sent: 0, blocked: 0, failed: 0, ...b.counts };
+        const pageDone = new Set(b.pageDoneIds || []);
+        const variantCounts = { ...b.variantCounts };
+        const inSegment = segmentMatcher(b.segment);
+        const pick = deliveryPicker(b);
+        const personalize = await personalizer(b);
+        let cursor = b.cursor || null;
+        let lastProgressAt = Date.now();
+        let checkpointChain = Promise.resolve();
+        let pendingSent = []; // { userId, chatId, messageIds } not yet written
+        let stop = b.control || null; // "pause" | "abort"
+
+        activeDeliveries.set(b.id, {
+            stop(action) {
+                stop ||= action;
+            },
+        });
+
+        function checkpoint() {
+            const sentRecords = pendingSent;
+            pendingSent = [];
+            const state = {
+                cursor,
+                pageDoneIds: [...pageDone],
+                counts: { ...counts },
+                variantCounts: { ...variantCounts },
+                lockedUntil: Date.now() + BROADCAST_LOCK_MS,
+            };
+            checkpointChain = checkpointChain
+                .catch(() => { })
+                .then(() => recordSentMessages(b.id, sentRecords))
+                .then(() => updateBroadcast(b.id, state));
+            return checkpointChain;
+        }
+
+        // Pause/abort requests from other processes (HTTP endpoint) arrive via the doc.
+        async function pollControl() {
+            const doc = await getBroadcast(b.id);
+            if (doc?.control) stop ||= doc.control;
+        }
+
+        const timer = setInterval(() => {
+            checkpoint().catch((err) => logFullError(`broadcast checkpoint failed (${b.id}):`, err));
+            pollControl().catch((err) => logFullError(`broadcast control poll failed (${b.id}):`, err));
+
+            if (Date.now() - lastProgressAt >= PROGRESS_EVERY_MS) {
+                lastProgressAt = Date.now();
+                postBroadcastProgress(b, broadcastProgressText(b, counts)).catch((err) =>
+                    logFullError(`broadcast progress failed (${b.id}):`, err)
+                );
+            }
+        }, CHECKPOINT_EVERY_MS);
+
+        try {
+            await postBroadcastProgress(b, broadcastProgressText(b, counts)).catch((err) =>
+                logFullError(`broadcast progress failed (${b.id}):`, err)
+            );
+
+            while (!stop) {
+                const page = await fetchAudiencePage(cursor, AUDIENCE_PAGE_SIZE);
+                if (!page.length) break;
+
+                const targets = page
+                    .filter((u) => !pageDone.has(u.docId) && isBroadcastRecipient(u) && inSegment(u))
+                    .map((u) => ({ u, variant: pick(u) }))
+                    .filter((t) => t.variant);
+
+                await runWithConcurrency(targets, BROADCAST_CONCURRENCY, async ({ u, variant }) => {
+                    if (stop) return; // left out of pageDone, so a resume sends it
+
+                    const count = (field) => {
+                        counts[field] += 1;
+                        if (!variant.key) return;
+                        variantCounts[variant.key] = { sent: 0, blocked: 0, failed: 0, ...variantCounts[variant.key] };
+                        variantCounts[variant.key][field] += 1;
+                    };
+
+                    try {
+                        const messageIds = await sendPayloadRateLimited(u.id, personalize(variant.payload, u), {
+                            broadcastId: b.id,
+                            userId: u.id,
+                            variant: variant.key,
+                        });
+                        count("sent");
+                        pendingSent.push({ userId: u.id, chatId: u.id, messageIds: messageIds || [] });
+                    } catch (err) {
+                        if (isBlockedError(err)) {
+                            count("blocked");
+                            await markUserBlocked(u.id, telegramErrorInfo(err).description).catch((e2) =>
+                                logFullError(`markUserBlocked failed (${u.id}):`, e2)
+                            );
+                        } else {
+                            count("failed");
+                            logFullError(`broadcast send failed (${u.id}):`, err);
+                        }
+                    }
+                    pageDone.add(u.docId);
+                });
+
+                if (stop) break;
+
+                cursor = page[page.length - 1].docId;
+                pageDone.clear();
+                await checkpoint();
+
+                if (page.length < AUDIENCE_PAGE_SIZE) break;
+            }
+
+            clearInterval(timer);
+            await checkpoint().catch((err) => logFullError(`broadcast checkpoint failed (${b.id}):`, err));
+
+            const status = stop === "pause" ? "paused" : stop === "abort" ? "aborted" : "completed";
+            const result = { id: b.id, status, ...counts, total: counts.sent + counts.blocked + counts.failed };
+            await updateBroadcast(b.id, {
+                status,
+                control: null,
+                finishedAt: status === "paused" ? null : Date.now(),
+                pausedAt: status === "paused" ? Date.now() : null,
+                cursor,
+                pageDoneIds: status === "paused" ? [...pageDone] : [],
+                counts,
+                variantCounts,
+                lockedUntil: 0,
+            });
+            await postBroadcastProgress(
+                { ...b, status },
+                `Broadcast ${b.id} ${status}.\n${broadcastResultText(result)}`
+            ).catch((err) => logFullError(`broadcast progress failed (${b.id}):`, err));
+
+            if (status === "aborted") {
+                const claimed = await claimDeletion(b.id).catch((err) => logFullError(`claimDeletion failed (${b.id}):`, err));
+                if (claimed) await deleteSentMessages(claimed);
+            }
+            return result;
+        } catch (err) {
+            clearInterval(timer);
+            await checkpointChain.catch(() => { });
+            await updateBroadcast(b.id, {
+                status: "failed",
+                finishedAt: Date.now(),
+                counts,
+                variantCounts,
+                lastError: String(err?.message || err),
+                lockedUntil: 0,
+            }).catch((e2) => logFullError(`failed to record broadcast failure (${b.id}):`, e2));
+            throw err;
+        } finally {
+            activeDeliveries.delete(b.id);
+        }
+    }
+
+    // Deletes what an aborted broadcast already sent (claimed with claimDeletion). Telegram only
+    // lets bots delete their messages for 48 hours, older ones count as failed without trying.
+    async function deleteSentMessages(b) {
+        let cursor = null;
+        let deleted = 0;
+        let failed = 0;
+
+        await postBroadcastProgress(b, `Broadcast ${b.id} aborted. Deleting sent messages…`).catch(() => { });
+
         try {
-            userIds = await getAllUsers();
+            while (true) {
+                const page = await fetchSentPage(b.id, cursor, SENT_PAGE_SIZE);
+                if (!page.length) break;
+
+                for (const doc of page) {
+                    const records = doc.records || [];
+                    if (Date.now() - (doc.at || 0) > SENT_DELETABLE_MS) {
+                        failed += records.reduce((n, r) => n + (r.messageIds?.length || 0), 0);
+                        continue;
+                    }
+                    for (const r of records) {
+                        for (const messageId of r.messageIds || []) {
+                            await globalSendLimiter.take();
+                            try {
+                                await bot.deleteMessage(r.chatId, messageId);
+                                deleted += 1;
+                            } catch {
+                                failed += 1;
+                            }
+                        }
+                    }
+                }
+
+                cursor = page[page.length - 1].docId;
+                await updateBroadcast(b.id, { deletion: { status: "running", deleted, failed } });
+                if (page.length < SENT_PAGE_SIZE) break;
+            }
+
+            await updateBroadcast(b.id, { deletion: { status: "done", deleted, failed, finishedAt: Date.now() } });
         } catch (err) {
-            logFullError("getAllUsers failed:", err);
-            throw new Error("Failed to load users from database.");
+            logFullError(`deleting sent messages failed (${b.id}):`, err);
+            await updateBroadcast(b.id, { deletion: { status: "failed", deleted, failed } }).catch(() => { });
         }
 
-        let sent = 0;
-        for (const userId of userIds) {
-            try {
-                await sendPayloadToUser(userId, payload);
-                sent += 1;
-            } catch {
-                // ignore blocked users / failures
+        await postBroadcastProgress(
+            { ...b, status: "aborted" },
+            `Broadcast ${b.id} aborted.\nDeleted messages: ${deleted}\nCould not delete: ${failed}`
+        ).catch(() => { });
+    }
+
+    // Progress message buttons. The admin HTTP endpoint only calls requestBroadcastControl;
+    // the delivery loop and the scheduler tick pick that up from Firestore.
+    // Returns the updated doc or null when the action does not apply.
+    async function controlBroadcast(broadcastId, action, { deleteSent = false, by = null } = {}) {
+        const b = await requestBroadcastControl(broadcastId, action, { deleteSent, by });
+        if (!b) return null;
+
+        if (b.control) activeDeliveries.get(b.id)?.stop(b.control);
+
+        if (action === "resume") {
+            const claimed = await claimBroadcast(b.id, BROADCAST_LOCK_MS);
+            if (claimed) {
+                deliverBroadcast(claimed).catch((err) => logFullError(`resumed broadcast failed (${b.id}):`, err));
             }
         }
-        return { sent, total: userIds.length };
+
+        if (action === "abort" && b.status === "aborted") {
+            // Was paused: no delivery loop is left to finish the abort.
+            const counts = { sent: 0, blocked: 0, failed: 0, ...b.counts };
+            const result = { ...counts, total: counts.sent + counts.blocked + counts.failed };
+            await postBroadcastProgress(b, `Broadcast ${b.id} aborted.\n${broadcastResultText(result)}`).catch(() => { });
+            const claimed = b.deleteSent ? await claimDeletion(b.id) : null;
+            if (claimed) deleteSentMessages(claimed).catch((err) => logFullError(`delete sent failed (${b.id}):`, err));
+        }
+        return b;
+    }
+
+    async function countAudience(segment) {
+        try {
+            return (await countSegmentAudience(segment)).count;
+        } catch (err) {
+            logFullError("countSegmentAudience failed:", err);
+            return null;
+        }
+    }
+
+    // variants + testShare start an A/B test; rolloutOf sends the winner to the held-back rest.
+    async function sendBroadcastNow(payload, options) {
+        return deliverBroadcast(await createBroadcastNow(payload, options));
+    }
+
+    // Counts the audience and stores the broadcast doc, already claimed by this process; the caller
+    // delivers it. If the process stops before that, the scheduler tick resumes it (expired lock).
+    async function createBroadcastNow(
+        payload,
+        {
+            id = makeId(),
+            adminChatId = null,
+            startedBy = null,
+            startedByUsername = "",
+            origin = null,
+            approvedBy = null,
+            segment = null,
+            audienceSize = null,
+            variants = [],
+            testShare = 1,
+            rolloutOf = null,
+        } = {}
+    ) {
+        const abTest = variants.length > 1 ? { seed: id, testShare, keys: variants.map((v) => v.key) } : null;
+        const broadcast = newBroadcastDoc({
+            id,
+            payload,
+            payloadPreview: payloadPreviewText(payload),
+            adminChatId,
+            startedBy,
+            startedByUsername,
+            origin,
+            approvedBy,
+            segment,
+            variants: abTest ? variants : [],
+            abTest,
+            rolloutOf,
+            audienceTotal: null,
+            lockMs: BROADCAST_LOCK_MS,
+        });
+
+        if (abTest || rolloutOf) {
+            // Only part of the segment is reached, so count the users the picker keeps.
+            const pick = deliveryPicker(broadcast);
+            broadcast.audienceTotal = await countSegmentAudience(segment, (u) => Boolean(pick(u))).then(
+                (r) => r.count,
+                (err) => {
+                    logFullError("countSegmentAudience failed:", err);
+                    return null;
+                }
+            );
+        } else {
+            broadcast.audienceTotal = Number.isFinite(audienceSize) ? audienceSize : await countAudience(segment);
+        }
+
+        try {
+            await createBroadcast(broadcast);
+        } catch (err) {
+            logFullError("createBroadcast failed:", err);
+            throw new Error("Failed to save broadcast to database.");
+        }
+        return broadcast;
+    }
+
+    // Sends the winning variant of an A/B test to the held-back rest. The test is claimed first so
+    // the rollout goes out once; the claim is released again when the rollout broadcast could not
+    // be created (once it exists, an interrupted delivery resumes like any other broadcast).
+    async function runRollout(chatId, testId, key, { startedBy = null, startedByUsername = "", approvedBy = null } = {}) {
+        const rolloutId = makeId();
+
+        let test = null;
+        try {
+            test = await claimRollout(testId, rolloutId);
+        } catch (err) {
+            logFullError("claimRollout failed:", err);
+        }
+        const winner = test?.variants?.find((v) => v.key === key);
+        if (!winner) {
+            await bot.sendMessage(chatId, "This test cannot be rolled out (unfinished or already rolled out).");
+            return;
+        }
+
+        await bot.sendMessage(chatId, `Rolling out variant ${key} to the rest of the audience…`);
+        try {
+            const result = await sendBroadcastNow(winner.payload, {
+                id: rolloutId,
+                adminChatId: chatId,
+                segment: test.segment,
+                rolloutOf: { broadcastId: test.id, seed: test.abTest.seed, testShare: test.abTest.testShare, variant: key },
+                startedBy,
+                startedByUsername,
+                approvedBy,
+            });
+            await bot.sendMessage(chatId, `Rollout ${result.status}.\n${broadcastResultText(result)}`);
+        } catch (err) {
+            await releaseRollout(testId, rolloutId).catch((e) => logFullError("releaseRollout failed:", e));
+            await bot.sendMessage(chatId, `Rollout failed: ${String(err.message || err)}`);
+        }
+    }
+
+    function broadcastResultText(result) {
+        return `Sent: ${result.sent}\nBlocked: ${result.blocked}\nFailed: ${result.failed}\nTotal: ${result.total}`;
+    }
+
+    function scheduleModeLabel(s) {
+        if (s.mode === "once") return "One-time";
+        if (s.mode === "weekly") return "Weekly";
+        if (s.mode === "interval") return `Every ${s.intervalHours}h`;
+        return "Daily";
     }
 
     function scheduleSummary(s) {
-        if (s.mode === "once") return `One-time at ${fmtTs(s.nextRunAt)}`;
-        return `Daily at ${s.dailyTime} (next: ${fmtTs(s.nextRunAt)})`;
+        const tz = scheduleTimeZone(s);
+        const next = fmtTs(s.nextRunAt, tz);
+        if (s.mode === "once") return `One-time at ${next}`;
+
+        let text = `Daily at ${s.dailyTime} (next: ${next})`;
+        if (s.mode === "weekly") text = `Weekly on ${formatWeekdays(s.weekdays)} at ${s.dailyTime} (next: ${next})`;
+        if (s.mode === "interval") text = `Every ${s.intervalHours}h (next: ${next})`;
+
+        if (s.endAt) text += `\nEnds: ${fmtTs(s.endAt, tz)}`;
+        if (s.maxRuns) text += `\nRuns: ${s.runCount || 0}/${s.maxRuns}`;
+        if (s.status === "pending_approval") text += "\nAwaiting approval by another admin";
+        return text;
+    }
+
+    const SCHEDULE_PROMPTS = {
+        once: "Send datetime: YYYY-MM-DD HH:mm",
+        daily: "Send daily time: HH:mm (24h)",
+        weekly: "Send weekdays and time, e.g. Mon,Wed,Fri 09:30 (also: weekdays, weekends)",
+        interval: `Send interval in hours (1-${MAX_INTERVAL_HOURS}), optionally with the first run: 6 or 6 2026-03-01 09:00`,
+    };
+
+    function schedulePrompt(mode, timeZone = DEFAULT_SCHEDULE_TIME_ZONE) {
+        return `${SCHEDULE_PROMPTS[mode]}\nTime zone: ${timeZone}. To use another one, add it at the end, e.g. "... Europe/Berlin".`;
+    }
+
+    function scheduleLimitKeyboard(scheduleId) {
+        return {
+            inline_keyboard: [
+                [{ text: "Set end date", callback_data: `sched_end:${scheduleId}` }],
+                [{ text: "Set max runs", callback_data: `sched_runs:${scheduleId}` }],
+            ],
+        };
+    }
+
+    async function getOwnActiveSchedule(chatId, scheduleId) {
+        const s = await getSchedule(scheduleId);
+        if (!s || s.adminChatId !== chatId || (s.status !== "active" && s.status !== "pending_approval")) return null;
+        return s;
+    }
+
+    // editSchedule limited to the admin's own schedules; null when it is not theirs or not editable.
+    async function editOwnSchedule(chatId, scheduleId, build) {
+        let own = true;
+        const r = await editSchedule(scheduleId, (s) => {
+            own = s.adminChatId === chatId;
+            return own ? build(s) : null;
+        });
+        return own ? r : null;
+    }
+
+    // Saves a schedule edit typed by the admin. build(s) returns the patch, or null when the input
+    // does not fit the current schedule; then invalidText(s) is sent and the step stays open.
+    async function saveScheduleEdit(chatId, scheduleId, build, invalidText) {
+        let r = null;
+        try {
+            r = await editOwnSchedule(chatId, scheduleId, build);
+        } catch (err) {
+            logFullError("schedule edit failed:", err);
+            await bot.sendMessage(chatId, "Failed to update the schedule. Please try again.");
+            return;
+        }
+
+        if (!r) {
+            broadcastState.delete(chatId);
+            await bot.sendMessage(chatId, "Schedule no longer available.");
+            return;
+        }
+        if (!r.patch) {
+            await bot.sendMessage(chatId, invalidText(r.schedule));
+            return;
+        }
+
+        broadcastState.delete(chatId);
+        if (r.schedule.status === "completed") {
+            await bot.sendMessage(chatId, `Schedule ${r.schedule.id} completed: no run is left before its end date or max runs.`);
+            return;
+        }
+        await bot.sendMessage(chatId, `Schedule updated.\n${scheduleSummary(r.schedule)}`);
     }
 
     async function showScheduledList(chatId) {
-        const list = [...scheduledBroadcasts.values()]
-            .filter((s) => s.adminChatId === chatId && s.status === "active")
-            .sort((a, b) => a.nextRunAt - b.nextRunAt);
+        let list = [];
+        try {
+            list = await listActiveSchedules(chatId);
+        } catch (err) {
+            logFullError("listActiveSchedules failed:", err);
+            await bot.sendMessage(chatId, "Failed to load scheduled broadcasts.");
+            return;
+        }
 
         if (!list.length) {
             await bot.sendMessage(chatId, "No active scheduled broadcasts.");
@@ -419,7 +1160,8 @@ export function initTelegramBot(app) {
 
             await bot.sendMessage(
                 chatId,
-                `${s.mode === "once" ? "One-time" : "Daily"} • ${fmtTs(s.nextRunAt)}\n${payloadPreviewText(s.payload)}`,
+                `${scheduleModeLabel(s)} • ${fmtTs(s.nextRunAt, scheduleTimeZone(s))}` +
+                    `${s.status === "pending_approval" ? " • awaiting approval" : ""}\n${payloadPreviewText(s.payload)}`,
                 {
                     reply_markup: {
                         inline_keyboard: [
@@ -439,8 +1181,8 @@ export function initTelegramBot(app) {
     }
 
     async function showScheduleDetails(chatId, scheduleId) {
-        const s = scheduledBroadcasts.get(scheduleId);
-        if (!s || s.adminChatId !== chatId || s.status !== "active") {
+        const s = await getOwnActiveSchedule(chatId, scheduleId);
+        if (!s) {
             await bot.sendMessage(chatId, "Schedule not found or no longer active.");
             return;
         }
@@ -453,13 +1195,14 @@ export function initTelegramBot(app) {
 
         await bot.sendMessage(
             chatId,
-            `Type: ${s.mode}\nWhen: ${scheduleSummary(s)}\nPreview: ${payloadPreviewText(s.payload)}`,
+            `Type: ${s.mode}\nWhen: ${scheduleSummary(s)}\nAudience: ${describeSegment(s.segment)}\nPreview: ${payloadPreviewText(s.payload)}`,
             {
                 reply_markup: {
                     inline_keyboard: [
                         [{ text: "Cancel schedule", callback_data: `sched_cancel:${s.id}` }],
-                        [{ text: "Edit time", callback_data: `sched_edit:${s.id}` }],
+                        [{ text: "Edit schedule", callback_data: `sched_edit:${s.id}` }],
                         [{ text: "Replace message", callback_data: `sched_replace:${s.id}` }],
+                        [{ text: "Edit audience", callback_data: `sched_segment:${s.id}` }],
                         [{ text: "Back to list", callback_data: "sched_list" }],
                     ],
                 },
@@ -467,44 +1210,597 @@ export function initTelegramBot(app) {
         );
     }
 
-    async function runSchedulerTick() {
-        if (schedulerBusy) return;
-        schedulerBusy = true;
+    function broadcastReportText(r) {
+        let startedBy = r.startedByUsername ? `@${r.startedByUsername}` : String(r.startedBy ?? "-");
+        if (r.trigger === "schedule") startedBy = `schedule ${r.scheduleId}`;
+        if (r.origin) startedBy = r.origin;
+        if (r.approvedBy) startedBy += ` (approved by ${r.approvedBy})`;
+
+        const lines = [
+            `Broadcast ${r.id} (${r.status})`,
+            `Started by: ${startedBy}`,
+            `Started: ${r.startedAt ? fmtTs(r.startedAt) : "-"}`,
+            `Finished: ${r.finishedAt ? fmtTs(r.finishedAt) : "-"}`,
+            `Preview: ${r.payloadPreview || "-"}`,
+        ];
+        if (r.buttons?.length) lines.push(`Buttons:\n${describeButtons(r.buttons)}`);
+        else if (r.ctaButton) lines.push(`Button: "${r.ctaButton.text}" -> ${r.ctaButton.url}`);
+        lines.push(
+            `Audience: ${describeSegment(r.segment)} (${r.audienceTotal ?? "?"})`,
+            `Sent: ${r.counts.sent}`,
+            `Blocked: ${r.counts.blocked}`,
+            `Failed: ${r.counts.failed}`
+        );
+        if (r.clicks.total || r.buttons.some((b) => b.type === "url") || r.ctaButton) {
+            const ctr = r.ctr === null ? "-" : `${(r.ctr * 100).toFixed(1)}%`;
+            lines.push(`Clicks: ${r.clicks.total} (unique ${r.clicks.unique}, CTR ${ctr})`);
+        }
+        if (r.abTest) {
+            lines.push(`A/B test on ${Math.round(r.abTest.testShare * 100)}% of the audience:`);
+            for (const v of r.variants) {
+                const ctr = v.ctr === null ? "-" : `${(v.ctr * 100).toFixed(1)}%`;
+                lines.push(
+                    `${v.key}: sent ${v.counts.sent}, blocked ${v.counts.blocked}, failed ${v.counts.failed}, ` +
+                    `clicks ${v.clicks.unique} (CTR ${ctr}) — ${v.payloadPreview || "-"}`
+                );
+            }
+            if (r.rolloutBroadcastId) lines.push(`Rolled out: ${r.rolloutBroadcastId}`);
+        }
+        if (r.rolloutOf) lines.push(`Rollout of variant ${r.rolloutOf.variant} from ${r.rolloutOf.broadcastId}`);
+        if (r.deletion) {
+            lines.push(`Deleted sent messages: ${r.deletion.deleted} (${r.deletion.failed} failed, ${r.deletion.status})`);
+        }
+        if (r.lastError) lines.push(`Error: ${r.lastError}`);
+        return lines.join("\n");
+    }
 
+    function sourceReportText(report) {
+        const lines = [`Signups by source, ${report.from} – ${report.to} (UTC):`];
+        if (!report.sources.length) lines.push("No signups or deep-link starts yet.");
+        for (const t of report.sources.slice(0, 25)) {
+            const label = t.source === DIRECT_SOURCE ? "no source" : t.source;
+            lines.push(`${label}: ${t.signups} signups, ${t.starts} starts`);
+        }
+        if (report.sources.length > 25) lines.push(`…and ${report.sources.length - 25} more sources`);
+
+        // Keeps the message under Telegram's 4096 chars; the HTTP report has every day.
+        const daily = report.daily.slice(-31);
+        lines.push("", daily.length < report.daily.length ? `Signups per day (last ${daily.length}):` : "Signups per day:");
+        for (const d of daily) {
+            const total = Object.values(d.signups).reduce((sum, n) => sum + (Number(n) || 0), 0);
+            const top = Object.entries(d.signups)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([source, n]) => `${source} ${n}`)
+                .join(", ");
+            lines.push(`${d.day}: ${total}${top ? ` (${top})` : ""}`);
+        }
+        return lines.join("\n");
+    }
+
+    async function showBroadcastHistory(chatId) {
+        let list = [];
         try {
-            const now = Date.now();
-            const due = [...scheduledBroadcasts.values()].filter(
-                (s) => s.status === "active" && s.nextRunAt <= now && !scheduleInFlight.has(s.id)
-            );
+            list = (await listRecentBroadcasts(10)).map(toBroadcastReport);
+        } catch (err) {
+            logFullError("listRecentBroadcasts failed:", err);
+            await bot.sendMessage(chatId, "Failed to load broadcast history.");
+            return;
+        }
+
+        if (!list.length) {
+            await bot.sendMessage(chatId, "No broadcasts yet.");
+            return;
+        }
+
+        const text = list
+            .map((r) => `${fmtTs(r.createdAt)} • ${r.status} • ${r.counts.sent}/${r.processed} sent\n${r.payloadPreview}`)
+            .join("\n\n");
+
+        await bot.sendMessage(chatId, `Recent broadcasts:\n\n${text}`, {
+            reply_markup: {
+                inline_keyboard: list.map((r) => [
+                    { text: `${fmtTs(r.createdAt)} • ${r.payloadPreview.slice(0, 24)}`, callback_data: `bc_report:${r.id}` },
+                ]),
+            },
+        });
+    }
+
+    async function showBroadcastReport(chatId, broadcastId) {
+        const b = await getBroadcast(broadcastId);
+        if (!b) {
+            await bot.sendMessage(chatId, "Broadcast not found.");
+            return;
+        }
+
+        const r = toBroadcastReport(b);
+        const inline_keyboard = [];
+        if (r.abTest && r.abTest.testShare < 1 && r.status === "completed" && !r.rolloutBroadcastId) {
+            for (const v of r.variants) {
+                inline_keyboard.push([{ text: `Roll out ${v.key} to the rest`, callback_data: `bc_ab_rollout:${r.id}:${v.key}` }]);
+            }
+        }
+        inline_keyboard.push([{ text: "Back to history", callback_data: "bc_history" }]);
 
-            for (const s of due) {
-                scheduleInFlight.add(s.id);
+        await bot.sendMessage(chatId, broadcastReportText(r), { reply_markup: { inline_keyboard } });
+    }
+
+    /* -----------------------------
+       Test sends and approvals
+    ------------------------------ */
+    // web_app buttons only work in private chats; group test chats get them as plain links.
+    function forTestChat(testChatId, payload) {
+        if (Number(testChatId) > 0 || !payload?.buttons?.some((b) => b.type === "web_app")) return payload;
+        return { ...payload, buttons: payload.buttons.map((b) => (b.type === "web_app" ? { ...b, type: "url" } : b)) };
+    }
+
+    // Sends every variant of a draft to the test chats, personalized with their users doc if any.
+    async function sendTestToChats(payloads) {
+        let ok = 0;
+        const errors = [];
+
+        for (const testChatId of TEST_CHAT_IDS) {
+            const user = await getUser(testChatId).catch(() => null);
+            for (const [i, draftPayload] of payloads.entries()) {
+                const payload = forTestChat(testChatId, draftPayload);
                 try {
-                    const result = await sendBroadcastNow(s.payload);
-                    s.lastRunAt = Date.now();
+                    if (payloads.length > 1) await bot.sendMessage(testChatId, `Test — variant ${VARIANT_KEYS[i]}:`);
+                    const vars = templateVariablesIn(payload);
+                    const shared = vars.length ? await loadTemplateShared(vars) : {};
+                    await sendPayloadToUser(
+                        testChatId,
+                        vars.length ? renderPayload(payload, templateVarsForUser(user, shared)) : payload
+                    );
+                    ok += 1;
+                } catch (err) {
+                    logFullError(`test send failed (${testChatId}):`, err);
+                    errors.push(`${testChatId}: ${telegramErrorInfo(err).description}`);
+                }
+            }
+        }
+
+        return { ok, errors };
+    }
+
+    function draftStatusLabel(d) {
+        const by = d.decidedByUsername ? `@${d.decidedByUsername}` : String(d.decidedBy ?? "");
+        if (d.status === "approved") return `approved by ${by}`;
+        if (d.status === "rejected") return Number(d.decidedBy) === Number(d.requestedBy) ? "withdrawn" : `rejected by ${by}`;
+        return "waiting for approval";
+    }
+
+    function draftSummary(d) {
+        const requestedBy = d.requestedByUsername ? `@${d.requestedByUsername}` : String(d.requestedBy);
+        const lines = [`Draft ${d.id}: ${draftStatusLabel(d)}`, `Requested by: ${requestedBy}`];
+
+        if (d.kind === "schedule") lines.push(`Type: schedule ${d.scheduleId}${d.scheduleText ? `\n${d.scheduleText}` : ""}`);
+        else if (d.rolloutOf) lines.push(`Type: rollout of variant ${d.rolloutOf.variant} from ${d.rolloutOf.broadcastId}`);
+        else if (d.variants?.length) lines.push(`Type: A/B test on ${Math.round(d.testShare * 100)}% (${d.variants.length} variants)`);
+        else lines.push("Type: send now");
+
+        lines.push(`Audience: ${describeSegment(d.segment)}${Number.isFinite(d.audienceSize) ? ` (${d.audienceSize})` : ""}`);
+        if (d.variants?.length) {
+            for (const v of d.variants) lines.push(`${v.key}: ${v.payloadPreview || "-"}`);
+        } else {
+            lines.push(`Preview: ${payloadPreviewText(d.payload)}`);
+        }
+        if (d.broadcastId) lines.push(`Broadcast: ${d.broadcastId}`);
+        return lines.join("\n");
+    }
+
+    function draftKeyboard(d, viewerChatId) {
+        if (d.status !== "pending") return { inline_keyboard: [] };
+        if (Number(viewerChatId) === Number(d.requestedBy)) {
+            return { inline_keyboard: [[{ text: "Withdraw", callback_data: `appr_no:${d.id}` }]] };
+        }
+        return {
+            inline_keyboard: [[
+                { text: "Approve", callback_data: `appr_ok:${d.id}` },
+                { text: "Reject", callback_data: `appr_no:${d.id}` },
+            ]],
+        };
+    }
+
+    async function showDraft(chatId, d) {
+        if (Number(chatId) !== Number(d.requestedBy)) {
+            const payloads = d.variants?.length ? d.variants.map((v) => v.payload) : [d.payload];
+            for (const [i, payload] of payloads.entries()) {
+                if (payloads.length > 1) await bot.sendMessage(chatId, `Variant ${VARIANT_KEYS[i]}:`);
+                await sendPayloadToUser(chatId, payload).catch((err) => logFullError("draft preview failed:", err));
+            }
+        }
+        return bot.sendMessage(chatId, draftSummary(d), { reply_markup: draftKeyboard(d, chatId) });
+    }
+
+    // Stores the draft and shows it to every admin; the status is kept in sync on all copies.
+    async function requestApproval(chatId, from, draft) {
+        const d = {
+            id: makeId(),
+            kind: "now",
+            status: "pending",
+            requestedBy: chatId,
+            requestedByUsername: from?.username || "",
+            payload: null,
+            variants: [],
+            testShare: 1,
+            segment: { type: "all" },
+            audienceSize: null,
+            scheduleId: null,
+            rolloutOf: null,
+            notifications: [],
+            decidedBy: null,
+            decidedAt: null,
+            broadcastId: null,
+            createdAt: Date.now(),
+            ...draft,
+        };
+        await createDraft(d);
+
+        const notifications = [];
+        for (const adminId of ADMIN_USER_IDS) {
+            try {
+                const m = await showDraft(adminId, d);
+                notifications.push({ chatId: adminId, messageId: m.message_id });
+            } catch (err) {
+                logFullError(`approval request failed (${adminId}):`, err);
+            }
+        }
+        await updateDraft(d.id, { notifications });
+        return d;
+    }
+
+    async function refreshDraftMessages(d) {
+        for (const n of d.notifications || []) {
+            await bot
+                .editMessageText(draftSummary(d), {
+                    chat_id: n.chatId,
+                    message_id: n.messageId,
+                    reply_markup: draftKeyboard(d, n.chatId),
+                })
+                .catch(() => { }); // deleted or not modified
+        }
+    }
+
+    // Merged into the same write that creates a schedule or changes its content/audience, so the
+    // schedule cannot run unapproved content in between; requestScheduleApproval follows the write.
+    function pendingApprovalPatch() {
+        return APPROVAL_REQUIRED ? { status: "pending_approval", approvalDraftId: makeId() } : {};
+    }
+
+    // Asks for approval of a schedule put into "pending_approval" (draft id: s.approvalDraftId).
+    async function requestScheduleApproval(chatId, from, s) {
+        await requestApproval(chatId, from, {
+            id: s.approvalDraftId,
+            kind: "schedule",
+            scheduleId: s.id,
+            scheduleText: scheduleSummary({ ...s, status: "active" }),
+            payload: s.payload,
+            segment: s.segment || { type: "all" },
+        });
+    }
+
+    async function runApprovedDraft(d) {
+        const notify = (text) =>
+            Promise.all(
+                [...new Set([d.requestedBy, d.decidedBy])].map((id) => bot.sendMessage(id, text).catch(() => { }))
+            );
+
+        if (d.kind === "schedule") {
+            let r = null;
+            try {
+                r = await editSchedule(d.scheduleId, (s) =>
+                    s.status === "pending_approval" && s.approvalDraftId === d.id
+                        ? { status: "active", approvedBy: d.decidedBy }
+                        : null
+                );
+            } catch (err) {
+                logFullError(`schedule approval failed (${d.scheduleId}):`, err);
+                await notify(`Draft ${d.id}: activating the schedule failed: ${String(err.message || err)}`);
+                return;
+            }
+            if (!r?.patch) {
+                await notify(`Draft ${d.id}: the schedule was changed or cancelled meanwhile, nothing activated.`);
+                return;
+            }
+            await notify(`Schedule ${r.schedule.id} approved and active.\n${scheduleSummary(r.schedule)}`);
+            return;
+        }
+
+        if (d.rolloutOf) {
+            // Claimed only now: the test may have been rolled out meanwhile.
+            await runRollout(d.requestedBy, d.rolloutOf.broadcastId, d.rolloutOf.variant, {
+                startedBy: d.requestedBy,
+                startedByUsername: d.requestedByUsername,
+                approvedBy: d.decidedBy,
+            });
+            return;
+        }
+
+        const broadcastId = makeId();
+        d.broadcastId = broadcastId;
+        await updateDraft(d.id, { broadcastId });
+        await refreshDraftMessages(d);
+
+        try {
+            const result = await sendBroadcastNow(d.payload, {
+                id: broadcastId,
+                adminChatId: d.requestedBy,
+                startedBy: d.requestedBy,
+                startedByUsername: d.requestedByUsername,
+                approvedBy: d.decidedBy,
+                segment: d.segment,
+                audienceSize: d.audienceSize,
+                variants: d.variants || [],
+                testShare: d.testShare ?? 1,
+            });
+            await notify(`Broadcast ${broadcastId} ${result.status}.\n${broadcastResultText(result)}`);
+        } catch (err) {
+            await notify(`Broadcast ${broadcastId} failed: ${String(err.message || err)}`);
+        }
+    }
+
+    /* -----------------------------
+       New-game digests (provider alerts)
+    ------------------------------ */
+    const DIGEST_EVERY_MS = 10 * 60 * 1000;
+    const MAX_DIGEST_GAMES = 10;
+    let digestBusy = false;
+    let digestSeen = { day: null, queuedAt: 0 }; // last UTC day run and newest queued game handled
+
+    function digestPayload(games) {
+        const shown = games.slice(0, MAX_DIGEST_GAMES);
+        const lines = shown.map((g) => `• ${g.name} — ${g.provider}${g.rtp !== null ? ` · RTP ${g.rtp}%` : ""}`);
+        if (games.length > shown.length) lines.push(`…and ${games.length - shown.length} more`);
+
+        return {
+            sourceChatId: null,
+            sourceMessageId: null,
+            text: `🆕 New games from your providers:\n\n${lines.join("\n")}\n\nManage alerts: /alerts`,
+            textEntities: null,
+            buttons: shown.map((g, row) => ({
+                row,
+                type: "web_app",
+                text: `▶️ ${g.name}`,
+                url: buildWebAppUrl(webAppUrl, { kind: "game", id: g.gameId }),
+            })),
+        };
+    }
 
-                    if (s.mode === "once") {
-                        s.status = "completed";
+    // Games queued by runSync since the user's last digest; at most one digest per user per UTC day.
+    // Subscribers are read once per UTC day for every queued provider, and in between only for
+    // providers with games queued since the last run.
+    async function runNewGameDigests(now = Date.now()) {
+        const today = digestDay(now);
+        const newDay = digestSeen.day !== today;
+
+        const queue = await loadDigestQueue(now);
+        const changed = newDay ? queue : queue.filter((g) => g.queuedAt > digestSeen.queuedAt);
+        const providerKeys = [...new Set(changed.map((g) => g.providerKey))];
+
+        if (providerKeys.length) {
+            const subscribers = await listProviderSubscribers(providerKeys);
+
+            for (const u of subscribers) {
+                if (!u.id || u.blockedAt || u.digestDay === today) continue;
+
+                const subs = new Set(u.providerSubs || []);
+                const games = queue
+                    .filter((g) => subs.has(g.providerKey) && g.queuedAt > (u.digestSentAt || 0))
+                    .sort((a, b) => b.queuedAt - a.queuedAt);
+                if (!games.length) continue;
+
+                try {
+                    await sendPayloadRateLimited(u.id, digestPayload(games));
+                    await markDigestSent(u.id, now);
+                } catch (err) {
+                    if (isBlockedError(err)) {
+                        await markUserBlocked(u.id, telegramErrorInfo(err).description).catch(() => { });
                     } else {
-                        const t = parseHHMM(s.dailyTime);
-                        s.nextRunAt = nextDailyRunAt(t.hh, t.mm, new Date(Date.now() + 1000));
+                        logFullError(`new-game digest failed (${u.id}):`, err);
                     }
+                }
+            }
+        }
+
+        if (newDay) await purgeDigestQueue(now);
+        digestSeen = { day: today, queuedAt: Math.max(digestSeen.queuedAt, ...queue.map((g) => g.queuedAt)) };
+    }
+
+    setInterval(() => {
+        if (digestBusy) return;
+        digestBusy = true;
+        runNewGameDigests()
+            .catch((err) => logFullError("new-game digests failed:", err))
+            .finally(() => {
+                digestBusy = false;
+            });
+    }, DIGEST_EVERY_MS);
+
+    /* -----------------------------
+       Game of the day (channel post and/or broadcast)
+    ------------------------------ */
+    let gotdDoneDay = null; // skips Firestore once today's post is known to exist
+
+    function gotdCaption(g) {
+        const lines = [`🎰 Game of the day: ${g.name}`];
+        if (g.provider) lines.push(`🏢 Provider: ${g.provider}`);
+        if (g.rtp !== null && g.rtp !== undefined) lines.push(`🎯 RTP: ${g.rtp}%`);
+        lines.push("", "👇 Try the free demo");
+        return lines.join("\n");
+    }
+
+    // Channels cannot open web_app buttons, so the channel post deep-links into the bot
+    // (start=gotd__g<id>: "gotd" source, opens the game); the broadcast opens the mini app directly.
+    async function postGotdToChannel(channelId, g) {
+        const username = await getBotUsername();
+        const reply_markup = {
+            inline_keyboard: [[{ text: "▶️ Play demo", url: `https://t.me/${username}?start=gotd__g${g.id}` }]],
+        };
+
+        if (g.thumb) {
+            const m = await bot.sendPhoto(channelId, g.thumb, { caption: gotdCaption(g), reply_markup });
+            return { messageId: m.message_id, photoFileId: m.photo?.[m.photo.length - 1]?.file_id || null };
+        }
+        const m = await bot.sendMessage(channelId, gotdCaption(g), { reply_markup });
+        return { messageId: m.message_id, photoFileId: null };
+    }
+
+    function gotdBroadcastPayload(g, photoFileId) {
+        const photo = photoFileId || g.thumb || null;
+        return {
+            sourceChatId: null,
+            sourceMessageId: null,
+            text: photo ? null : gotdCaption(g),
+            textEntities: null,
+            caption: photo ? gotdCaption(g) : null,
+            captionEntities: null,
+            photoFileId: photo,
+            mediaGroup: null,
+            ctaButton: null,
+            buttons: [{ row: 0, type: "web_app", text: "▶️ Play demo", url: buildWebAppUrl(webAppUrl, { kind: "game", id: g.id }) }],
+        };
+    }
+
+    // force: run before TG_GOTD_TIME (/gotd now). Returns the day's entry, or null when nothing ran.
+    async function runGameOfTheDay({ force = false } = {}, now = Date.now()) {
+        const config = gotdConfig();
+        if (!config.enabled) return null;
+
+        const day = gotdDayKey(now, config.timeZone);
+        if (gotdDoneDay === day || (!force && !isGotdTime(config, now))) return null;
+
+        // Done only once posted; a failed day is retried with the game it picked.
+        const existing = await getGotd(day);
+        if (existing?.status === "posted") gotdDoneDay = day;
+        if (existing && !(force ? existing.status === "failed" : isGotdRetryDue(existing, now))) return null;
+
+        let picked = existing ? { source: existing.source, game: existing.game } : null;
+        if (!picked) {
+            picked = await pickGameOfTheDay(await getHomeSections({ timeoutMs: 15000 }), day, config.noRepeatDays);
+            if (!picked) return null;
+        }
+
+        const g = picked.game;
+        const game = { id: String(g.id), name: g.name || "", provider: g.provider || "", thumb: g.thumb || "", rtp: g.rtp ?? null };
+        const claimed = await claimGotd(day, { gameId: game.id, game, source: picked.source }, now);
+        if (!claimed) return null;
+
+        const entry = {
+            day,
+            gameId: game.id,
+            game,
+            source: picked.source,
+            channelMessageId: claimed.channelMessageId ?? null,
+            broadcastId: null,
+        };
+        try {
+            let photoFileId = claimed.channelPhotoFileId ?? null;
+            if (config.channelId && !entry.channelMessageId) {
+                const posted = await postGotdToChannel(config.channelId, game);
+                entry.channelMessageId = posted.messageId;
+                photoFileId = posted.photoFileId;
+                await updateGotd(day, {
+                    channelId: config.channelId,
+                    channelMessageId: posted.messageId,
+                    channelPhotoFileId: photoFileId,
+                });
+            }
+
+            // A retry keeps the broadcast of the failed run if its doc was created (it resumes on its own).
+            if (claimed.broadcastId && (await getBroadcast(claimed.broadcastId))) entry.broadcastId = claimed.broadcastId;
+
+            // No approval draft: the broadcast is switched on by server config (TG_GOTD_BROADCAST), not
+            // by an admin. Delivery runs outside the scheduler tick; an interrupted one is resumed by it.
+            if (config.broadcast && !entry.broadcastId) {
+                entry.broadcastId = makeId();
+                await updateGotd(day, { broadcastId: entry.broadcastId });
+                const b = await createBroadcastNow(gotdBroadcastPayload(game, photoFileId), {
+                    id: entry.broadcastId,
+                    adminChatId: ADMIN_USER_IDS[0] ?? null,
+                    origin: "game-of-the-day",
+                });
+                deliverBroadcast(b).catch((err) => logFullError(`game of the day broadcast failed (${b.id}):`, err));
+            }
+
+            await updateGotd(day, { status: "posted", postedAt: Date.now() });
+            gotdDoneDay = day;
+            return entry;
+        } catch (err) {
+            await updateGotd(day, { status: "failed", lastError: String(err.message || err) })
+                .catch((e2) => logFullError("failed to record game of the day failure:", e2));
+            throw err;
+        }
+    }
+
+    async function runSchedulerTick() {
+        if (schedulerBusy) return;
+        schedulerBusy = true;
+
+        try {
+            // Broadcasts whose owner stopped extending the lock were interrupted (restart/crash)
+            // or resumed through the admin endpoint (lock reset to 0).
+            const interrupted = await listInterruptedBroadcasts();
+            for (const candidate of interrupted) {
+                try {
+                    const b = await claimBroadcast(candidate.id, BROADCAST_LOCK_MS);
+                    if (!b) continue;
+                    await deliverBroadcast(b);
+                } catch (err) {
+                    logFullError(`resumed broadcast failed (${candidate.id}):`, err);
+                }
+            }
+
+            // Aborted with "delete sent messages" while nobody was delivering (paused, endpoint).
+            for (const candidate of await listPendingDeletions()) {
+                const b = await claimDeletion(candidate.id).catch(() => null);
+                if (b) await deleteSentMessages(b);
+            }
+
+            const due = await listDueSchedules();
+
+            for (const candidate of due) {
+                const audienceTotal = await countAudience(candidate.segment);
+
+                // Advancing the schedule and creating the broadcast happen atomically, so a
+                // restart neither re-sends this run nor loses it (the broadcast resumes).
+                const claimed = await claimScheduleRun(candidate.id, {
+                    advance: (cur) => advanceSchedule(cur),
+                    buildBroadcast: (cur) =>
+                        newBroadcastDoc({
+                            id: makeId(),
+                            payload: cur.payload,
+                            payloadPreview: payloadPreviewText(cur.payload),
+                            adminChatId: cur.adminChatId,
+                            scheduleId: cur.id,
+                            approvedBy: cur.approvedBy ?? null,
+                            segment: cur.segment || null,
+                            audienceTotal,
+                            lockMs: BROADCAST_LOCK_MS,
+                        }),
+                });
+                if (!claimed) continue;
 
+                const { schedule: s, broadcast } = claimed;
+                try {
+                    const result = await deliverBroadcast(broadcast);
                     await bot.sendMessage(
                         s.adminChatId,
-                        `Scheduled broadcast ${s.id} sent.\nDelivered to ${result.sent} users.`
+                        `Scheduled broadcast ${s.id} ${result.status === "completed" ? "sent" : result.status}.\n${broadcastResultText(result)}`
                     );
                 } catch (err) {
                     logFullError(`scheduled broadcast failed (${s.id}):`, err);
-                    await bot.sendMessage(
-                        s.adminChatId,
-                        `Scheduled broadcast ${s.id} failed: ${String(err.message || err)}`
-                    );
-                    if (s.mode === "once") s.status = "failed";
-                } finally {
-                    scheduleInFlight.delete(s.id);
+
+                    const lastError = String(err.message || err);
+                    await updateSchedule(s.id, s.mode === "once" ? { status: "failed", lastError } : { lastError })
+                        .catch((e2) => logFullError(`failed to record schedule failure (${s.id}):`, e2));
+
+                    await bot
+                        .sendMessage(s.adminChatId, `Scheduled broadcast ${s.id} failed: ${lastError}`)
+                        .catch((e2) => logFullError("failed to notify about schedule failure:", e2));
                 }
             }
+
+            await runGameOfTheDay().catch((err) => logFullError("game of the day failed:", err));
         } finally {
             schedulerBusy = false;
         }
@@ -514,329 +1810,1939 @@ export function initTelegramBot(app) {
         runSchedulerTick().catch((err) => logFullError("scheduler tick failed:", err));
     }, 15000);
 
-    function sendModeKeyboard() {
+    // Sent-message records only serve deleting an aborted broadcast, so they are dropped once that
+    // is no longer possible.
+    setInterval(() => {
+        purgeSentRecords().catch((err) => logFullError("purging sent records failed:", err));
+    }, SENT_PURGE_EVERY_MS);
+
+    function sendModeKeyboard(variantCount = 1) {
+        if (variantCount > 1) {
+            const rows = [
+                TEST_SHARE_OPTIONS.map((pct) => ({ text: `Test on ${pct}%`, callback_data: `bc_ab_send:${pct}` })),
+                [{ text: "Split whole audience", callback_data: "bc_ab_send:100" }],
+            ];
+            if (TEST_CHAT_IDS.length) rows.push([{ text: "Send test", callback_data: "bc_send_test" }]);
+            if (variantCount < MAX_VARIANTS) {
+                rows.push([{ text: `Add variant ${VARIANT_KEYS[variantCount]}`, callback_data: "bc_ab_add" }]);
+            }
+            rows.push(
+                [{ text: "Change audience", callback_data: "bc_change_segment" }],
+                [{ text: "Cancel draft", callback_data: "bc_cancel_draft" }]
+            );
+            return { inline_keyboard: rows };
+        }
+
+        const rows = [
+            [{ text: APPROVAL_REQUIRED ? "Send Now (needs approval)" : "Send Now", callback_data: "bc_send_now" }],
+            [{ text: "Schedule message", callback_data: "bc_schedule_once" }],
+            [{ text: "Schedule and repeat", callback_data: "bc_schedule_repeat" }],
+            [{ text: "A/B test: add variant B", callback_data: "bc_ab_add" }],
+            [{ text: "Change audience", callback_data: "bc_change_segment" }],
+            [{ text: "View scheduled", callback_data: "sched_list" }],
+            [{ text: "Cancel draft", callback_data: "bc_cancel_draft" }],
+        ];
+        if (TEST_CHAT_IDS.length) rows.splice(1, 0, [{ text: "Send test", callback_data: "bc_send_test" }]);
+        return { inline_keyboard: rows };
+    }
+
+    function repeatModeKeyboard() {
         return {
             inline_keyboard: [
-                [{ text: "Send Now", callback_data: "bc_send_now" }],
-                [{ text: "Schedule message", callback_data: "bc_schedule_once" }],
-                [{ text: "Schedule and repeat", callback_data: "bc_schedule_daily" }],
-                [{ text: "View scheduled", callback_data: "sched_list" }],
+                [{ text: "Daily", callback_data: "bc_schedule_daily" }],
+                [{ text: "Weekly (chosen weekdays)", callback_data: "bc_schedule_weekly" }],
+                [{ text: "Every N hours", callback_data: "bc_schedule_interval" }],
                 [{ text: "Cancel draft", callback_data: "bc_cancel_draft" }],
             ],
         };
     }
 
-    function addUrlButtonKeyboard() {
+    function segmentKeyboard() {
         return {
             inline_keyboard: [
-                [{ text: "Yes, add URL button", callback_data: "bc_add_url_yes" }],
-                [{ text: "No URL button", callback_data: "bc_add_url_no" }],
+                ...SEGMENT_TYPES.map((t) => [{ text: t.title, callback_data: `bc_segment:${t.id}` }]),
                 [{ text: "Cancel draft", callback_data: "bc_cancel_draft" }],
             ],
         };
     }
 
-    // /start
-    bot.onText(/^\/start(?:\s|$)/, async (msg) => {
-        const chatId = msg.chat.id;
-        const username = msg.from?.username || "";
+    const SEGMENT_PROMPTS = {
+        language: "Send Telegram language codes separated by commas (e.g. en, ru, de).",
+        country: "Send 2-letter country codes separated by commas (e.g. LV, DE).",
+        signup: "Send signup period: number of days (e.g. 30) or YYYY-MM-DD..YYYY-MM-DD (UTC).",
+        activity: "Send last activity period: number of days (e.g. 7) or YYYY-MM-DD..YYYY-MM-DD (UTC).",
+        source: "Send deep-link sources separated by commas (the start parameter, e.g. fb_ads).",
+        ids: `Send Telegram user IDs separated by spaces, commas or new lines, or upload a .txt/.csv file (max ${MAX_SEGMENT_IDS}).`,
+    };
+
+    // Segment step of the composer; with state.scheduleId it edits an existing schedule instead.
+    async function askForSegment(chatId, state, intro = "Choose audience:") {
+        broadcastState.set(chatId, {
+            step: "choosing_segment",
+            payload: state.payload,
+            variants: state.variants || [],
+            scheduleId: state.scheduleId || null,
+        });
+        await bot.sendMessage(chatId, intro, { reply_markup: segmentKeyboard() });
+    }
+
+    async function applySegment(chatId, state, segment) {
+        await bot.sendMessage(chatId, "Counting audience…");
+
+        let audienceSize = 0;
+        let missingIds = [];
+        try {
+            ({ count: audienceSize, missingIds } = await countSegmentAudience(segment));
+        } catch (err) {
+            logFullError("countSegmentAudience failed:", err);
+            await askForSegment(chatId, state, "Failed to count audience. Choose audience again:");
+            return;
+        }
+        if (missingIds.length) {
+            const shown = missingIds.slice(0, 20).join(", ");
+            const more = missingIds.length > 20 ? ` and ${missingIds.length - 20} more` : "";
+            await bot.sendMessage(chatId, `Not found (never started the bot): ${shown}${more}`);
+        }
+
+        if (state.scheduleId) {
+            broadcastState.delete(chatId);
+            let r = null;
+            try {
+                r = await editOwnSchedule(chatId, state.scheduleId, () => ({ segment, ...pendingApprovalPatch() }));
+            } catch (err) {
+                logFullError("schedule audience update failed:", err);
+                await bot.sendMessage(chatId, "Failed to update the audience. Please try again.");
+                return;
+            }
+            if (!r) {
+                await bot.sendMessage(chatId, "Schedule no longer available.");
+                return;
+            }
+
+            const s = r.schedule;
+            await bot.sendMessage(
+                chatId,
+                `Audience updated for schedule ${s.id}.\nAudience: ${describeSegment(segment)}\nRecipients: ${audienceSize}`
+            );
+            if (APPROVAL_REQUIRED) await submitScheduleEditForApproval(chatId, s);
+            return;
+        }
+
+        await showDeliveryMenu(chatId, { payload: state.payload, variants: state.variants, segment, audienceSize });
+    }
+
+    async function showDeliveryMenu(chatId, state, intro = "") {
+        const variants = state.variants || [];
+        broadcastState.set(chatId, {
+            step: "choosing_delivery",
+            payload: state.payload,
+            variants,
+            segment: state.segment,
+            audienceSize: state.audienceSize,
+        });
+
+        const lines = [];
+        if (intro) lines.push(intro);
+        lines.push(`Audience: ${describeSegment(state.segment)}\nRecipients: ${state.audienceSize}`);
+        if (!state.audienceSize) lines.push("No users match this audience yet.");
+        if (variants.length) {
+            const all = [...variants, state.payload];
+            lines.push(`A/B variants:\n${all.map((p, i) => `${VARIANT_KEYS[i]}: ${payloadPreviewText(p, 60)}`).join("\n")}`);
+        }
+        lines.push("Choose delivery mode:");
+
+        await sendSamplePreview(chatId, state.payload, state.segment);
+        await bot.sendMessage(chatId, lines.join("\n"), { reply_markup: sendModeKeyboard(variants.length + 1) });
+    }
+
+    // Templated payloads are shown the way a random recipient of the segment will get them.
+    async function sendSamplePreview(chatId, payload, segment) {
+        const variables = templateVariablesIn(payload);
+        if (!variables.length) return;
+
+        try {
+            const inSegment = segmentMatcher(segment);
+            const page = await fetchAudiencePage(null, AUDIENCE_PAGE_SIZE);
+            const candidates = page.filter((u) => isBroadcastRecipient(u) && inSegment(u));
+            const sample = candidates[Math.floor(Math.random() * candidates.length)] || null;
+
+            const shared = await loadTemplateShared(variables);
+            const who = sample ? (sample.username ? `@${sample.username}` : String(sample.id)) : "a user without profile data";
+            await bot.sendMessage(chatId, `Preview for ${who} (placeholders: ${variables.map((v) => `{${v}}`).join(", ")}):`);
+            await sendPayloadToUser(chatId, renderPayload(payload, templateVarsForUser(sample, shared)));
+        } catch (err) {
+            logFullError("sample preview failed:", err);
+            await bot.sendMessage(chatId, "Sample preview failed; placeholders will still be filled in at send time.");
+        }
+    }
+
+    // A finished variant goes straight back to delivery (the audience is already chosen).
+    async function finishDraftPayload(chatId, state, intro = "") {
+        if (state.welcomeLang) {
+            await saveWelcomeDraft(chatId, state, intro);
+            return;
+        }
+        if (state.variants?.length) {
+            await showDeliveryMenu(chatId, state, intro);
+            return;
+        }
+        await askForSegment(chatId, state, intro ? `${intro}\nChoose audience:` : "Choose audience:");
+    }
+
+    // Carried through the composer steps: the welcome language for /setwelcome, or finished
+    // A/B variants (and the audience chosen for them) for the next variant's draft.
+    function draftContext(state) {
+        if (state?.welcomeLang) return { welcomeLang: state.welcomeLang };
+        if (!state?.variants?.length) return {};
+        return { variants: state.variants, segment: state.segment, audienceSize: state.audienceSize };
+    }
+
+    async function readUploadedText(fileId) {
+        const chunks = [];
+        for await (const chunk of bot.getFileStream(fileId)) chunks.push(chunk);
+        return Buffer.concat(chunks).toString("utf8");
+    }
+
+    async function startDraft(chatId, payload, context = {}) {
+        broadcastState.set(chatId, { ...context, step: "choosing_button_option", payload });
+
+        try {
+            await sendPayloadToUser(chatId, payload); // preview
+            if (payload.mediaGroup?.length) {
+                await finishDraftPayload(chatId, { ...context, payload }, "Albums cannot have buttons.");
+                return;
+            }
+            await bot.sendMessage(chatId, "Do you want to add buttons under this message?", {
+                reply_markup: addButtonsKeyboard(),
+            });
+        } catch (err) {
+            logFullError("broadcast preview failed:", err);
+            broadcastState.delete(chatId);
+            await bot.sendMessage(chatId, "Preview failed. Please send /broadcast and try again.");
+        }
+    }
+
+    async function replaceSchedulePayload(chatId, scheduleId, payload) {
+        let r = null;
+        try {
+            // Only the content is replaced; the schedule keeps its buttons. Albums cannot carry
+            // buttons (sendMediaGroup), so they only replace content of schedules without any.
+            r = await editOwnSchedule(chatId, scheduleId, (cur) => {
+                const buttons = cur.payload?.buttons || [];
+                const ctaButton = cur.payload?.ctaButton || null;
+                if (payload.mediaGroup?.length && (buttons.length || ctaButton)) return null;
+                return { payload: { ...payload, ctaButton, buttons }, ...pendingApprovalPatch() };
+            });
+        } catch (err) {
+            logFullError("replace schedule message failed:", err);
+            await bot.sendMessage(chatId, "Failed to replace the message. Please send it again.");
+            return;
+        }
+        if (r && !r.patch) {
+            await bot.sendMessage(
+                chatId,
+                "This schedule has buttons and albums cannot carry them. Send a single message instead."
+            );
+            return;
+        }
+        broadcastState.delete(chatId);
+        if (!r) {
+            await bot.sendMessage(chatId, "Schedule no longer available.");
+            return;
+        }
+
+        const s = r.schedule;
+        await bot.sendMessage(chatId, `Message content replaced for schedule ${s.id}.`);
+        await sendPayloadToUser(chatId, s.payload).catch((err) => logFullError("schedule preview failed:", err));
+        if (APPROVAL_REQUIRED) await submitScheduleEditForApproval(chatId, s);
+    }
+
+    // The edit already put the schedule into "pending_approval"; it stays paused if the request fails.
+    async function submitScheduleEditForApproval(chatId, s) {
+        try {
+            await requestScheduleApproval(chatId, null, s);
+        } catch (err) {
+            logFullError("requestApproval failed:", err);
+            await bot.sendMessage(chatId, "The schedule is paused, but requesting approval failed. Edit it again to retry.");
+        }
+    }
+
+    // Album items arrive as separate updates; wait until no new item came for ALBUM_SETTLE_MS.
+    const ALBUM_SETTLE_MS = 1500;
+    const albumBuffers = new Map(); // adminChatId -> { mediaGroupId, messages, timer }
+
+    function collectAlbumPart(chatId, msg) {
+        let buf = albumBuffers.get(chatId);
+        if (!buf || buf.mediaGroupId !== msg.media_group_id) {
+            if (buf) clearTimeout(buf.timer);
+            buf = { mediaGroupId: msg.media_group_id, messages: [], timer: null };
+            albumBuffers.set(chatId, buf);
+        }
+
+        buf.messages.push(msg);
+        clearTimeout(buf.timer);
+        buf.timer = setTimeout(() => {
+            albumBuffers.delete(chatId);
+            finishAlbum(chatId, buf.messages).catch((err) => logFullError("album draft failed:", err));
+        }, ALBUM_SETTLE_MS);
+    }
+
+    async function finishAlbum(chatId, messages) {
+        const state = broadcastState.get(chatId);
+        if (!state) return;
+
+        messages.sort((a, b) => a.message_id - b.message_id);
+        const payload = extractAlbumPayload(chatId, messages);
+        if (!isSupportedPayload(payload)) {
+            await bot.sendMessage(chatId, "Unsupported album. Send photos, videos, documents or audio files.");
+            return;
+        }
+
+        if (state.step === "waiting_for_message") await startDraft(chatId, payload, draftContext(state));
+        else if (state.step === "waiting_for_replace_message") await replaceSchedulePayload(chatId, state.scheduleId, payload);
+    }
+
+    function addButtonsKeyboard() {
+        return {
+            inline_keyboard: [
+                [{ text: "Add buttons", callback_data: "bc_add_buttons" }],
+                [{ text: "No buttons", callback_data: "bc_no_buttons" }],
+                [{ text: "Cancel draft", callback_data: "bc_cancel_draft" }],
+            ],
+        };
+    }
+
+    function buttonBuilderKeyboard() {
+        return {
+            inline_keyboard: [
+                [
+                    { text: "URL button", callback_data: "bc_btn_add:url" },
+                    { text: "Mini app button", callback_data: "bc_btn_add:web_app" },
+                ],
+                [{ text: "Callback button", callback_data: "bc_btn_add:callback" }],
+                [
+                    { text: "New row", callback_data: "bc_btn_row" },
+                    { text: "Remove last", callback_data: "bc_btn_undo" },
+                ],
+                [
+                    { text: "Preview", callback_data: "bc_btn_preview" },
+                    { text: "Done", callback_data: "bc_btn_done" },
+                ],
+                [{ text: "Cancel draft", callback_data: "bc_cancel_draft" }],
+            ],
+        };
+    }
+
+    // Button builder step; state.row is the row new buttons are appended to.
+    async function showButtonBuilder(chatId, payload, row, intro = "") {
+        broadcastState.set(chatId, { ...draftContext(broadcastState.get(chatId)), step: "building_buttons", payload, row });
+
+        const buttons = payload.buttons || [];
+        const lines = [];
+        if (intro) lines.push(intro);
+        lines.push(buttons.length ? `Buttons:\n${describeButtons(buttons)}` : "No buttons yet.");
+        lines.push(`New buttons go to row ${row + 1}. Choose an action:`);
+
+        await bot.sendMessage(chatId, lines.join("\n\n"), { reply_markup: buttonBuilderKeyboard() });
+    }
+
+    async function addButtonToDraft(chatId, state, button) {
+        const payload = {
+            ...state.payload,
+            buttons: [...(state.payload.buttons || []), { row: state.row, ...button }],
+        };
+        await showButtonBuilder(chatId, payload, state.row, `Button added: "${button.text}"`);
+    }
+
+    /* -----------------------------
+       Promotional message consent
+    ------------------------------ */
+    function consentKeyboard(subscribed) {
+        return {
+            inline_keyboard: [[
+                subscribed
+                    ? { text: "🔕 Stop promotional messages", callback_data: "consent:off" }
+                    : { text: "🔔 Get promotional messages", callback_data: "consent:on" },
+            ]],
+        };
+    }
+
+    function consentText(subscribed) {
+        return subscribed
+            ? "🔔 You receive news, bonuses and new games from us.\nSend /stop to unsubscribe at any time."
+            : "🔕 You will not receive promotional messages.\nSend /subscribe to get them again.";
+    }
+
+    async function changeConsent(chatId, subscribed) {
+        try {
+            await setMarketingConsent(chatId, subscribed);
+            await bot.sendMessage(chatId, consentText(subscribed), { reply_markup: consentKeyboard(subscribed) });
+        } catch (err) {
+            logFullError("setMarketingConsent failed:", err);
+            await bot.sendMessage(chatId, "An error occurred. Please try again later.");
+        }
+    }
+
+    // Settings button: flips consent and updates the settings message in place.
+    async function answerConsentButton(callbackQuery, subscribed) {
+        const userId = callbackQuery.from.id;
+        try {
+            await setMarketingConsent(userId, subscribed);
+        } catch (err) {
+            logFullError("setMarketingConsent failed:", err);
+            bot.answerCallbackQuery(callbackQuery.id, { text: "Please try again later." }).catch(() => { });
+            return;
+        }
+
+        bot.answerCallbackQuery(callbackQuery.id, { text: subscribed ? "Subscribed" : "Unsubscribed" }).catch(() => { });
+        const message = callbackQuery.message;
+        if (message) {
+            await bot.editMessageText(consentText(subscribed), {
+                chat_id: message.chat.id,
+                message_id: message.message_id,
+                reply_markup: consentKeyboard(subscribed),
+            }).catch(() => { });
+        }
+    }
+
+    // /stop, /subscribe and /settings (private chats)
+    bot.onText(/^\/stop(?:\s|$)/, async (msg) => {
+        if (msg.chat.type !== "private") return;
+        await changeConsent(msg.chat.id, false);
+    });
+
+    bot.onText(/^\/subscribe(?:\s|$)/, async (msg) => {
+        if (msg.chat.type !== "private") return;
+        await changeConsent(msg.chat.id, true);
+    });
+
+    bot.onText(/^\/settings(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (msg.chat.type !== "private") return;
+
+        try {
+            const user = await getUser(chatId);
+            const subscribed = user?.marketingConsent !== false;
+            await bot.sendMessage(chatId, `⚙️ Settings\n\n${consentText(subscribed)}`, { reply_markup: consentKeyboard(subscribed) });
+        } catch (err) {
+            logFullError("settings handler failed:", err);
+            await bot.sendMessage(chatId, "An error occurred. Please try again later.");
+        }
+    });
+
+    /* -----------------------------
+       Personal data (export / deletion)
+    ------------------------------ */
+    // /mydata: everything we store about the user as a JSON file
+    bot.onText(/^\/mydata(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (msg.chat.type !== "private") return;
+
+        try {
+            const data = await exportUserData(chatId);
+            if (!data) {
+                await bot.sendMessage(chatId, "We don't store any data about you.");
+                return;
+            }
+
+            await bot.sendDocument(
+                chatId,
+                Buffer.from(JSON.stringify(data, null, 2)),
+                { caption: "This is all the data we store about you. Send /deleteme to erase it." },
+                { filename: "my-data.json", contentType: "application/json" }
+            );
+        } catch (err) {
+            logFullError("mydata handler failed:", err);
+            await bot.sendMessage(chatId, "An error occurred. Please try again later.");
+        }
+    });
+
+    // /deleteme: asks for confirmation first
+    bot.onText(/^\/deleteme(?:\s|$)/, async (msg) => {
+        if (msg.chat.type !== "private") return;
+
+        await bot.sendMessage(
+            msg.chat.id,
+            "⚠️ This erases your profile, game history, referrals and link clicks. It cannot be undone.\n\nDelete your data?",
+            {
+                reply_markup: {
+                    inline_keyboard: [[
+                        { text: "Yes, delete my data", callback_data: "gdpr_del:yes" },
+                        { text: "Cancel", callback_data: "gdpr_del:no" },
+                    ]],
+                },
+            }
+        );
+    });
+
+    async function answerDeleteMe(callbackQuery, confirmed) {
+        const userId = callbackQuery.from.id;
+        const message = callbackQuery.message;
+        bot.answerCallbackQuery(callbackQuery.id).catch(() => { });
+
+        let text = "Deletion cancelled. Your data was not changed.";
+        if (confirmed) {
+            try {
+                await deleteUserData(userId);
+                forgetUser(userId);
+                text = "✅ Your data has been deleted. Send /start if you want to use the bot again.";
+            } catch (err) {
+                logFullError("deleteUserData failed:", err);
+                text = "An error occurred and your data was not fully deleted. Please try /deleteme again later.";
+            }
+        }
+
+        if (message) {
+            await bot.editMessageText(text, { chat_id: message.chat.id, message_id: message.message_id }).catch(() => { });
+        } else {
+            await bot.sendMessage(userId, text).catch(() => { });
+        }
+    }
+
+    function botStatsText(st) {
+        const u = st.users;
+        const lines = [
+            `Users: ${u.total}`,
+            `Active: ${u.active.day} today, ${u.active.week} in 7 days, ${u.active.month} in 30 days`,
+            `Blocked the bot: ${u.blocked}`,
+            `Opted out of promotions: ${u.optedOut}`,
+            `Reachable by broadcasts: ${u.reachable}`,
+            "",
+            `New users today: ${st.newUsers.today}`,
+            `Last 7 days: ${st.newUsers.daily.map((d) => `${d.day.slice(5)} ${d.count}`).join(", ")}`,
+            `Weekly: ${st.newUsers.weekly.map((w) => `${w.from.slice(5)}..${w.to.slice(5)} ${w.count}`).join(", ")}`,
+        ];
+
+        if (st.topSources.length) {
+            lines.push("", "Top sources (28 days):");
+            for (const t of st.topSources) {
+                lines.push(`${t.source === DIRECT_SOURCE ? "no source" : t.source}: ${t.signups}`);
+            }
+        }
+
+        if (st.topSharedGames.length) {
+            lines.push("", "Most shared games (inline):");
+            for (const g of st.topSharedGames) lines.push(`${g.name} (${g.provider}): ${g.shares}`);
+        }
+
+        if (st.recentBroadcasts.length) {
+            lines.push("", "Recent broadcasts:");
+            for (const r of st.recentBroadcasts) {
+                const ctr = r.ctr === null ? "" : `, CTR ${(r.ctr * 100).toFixed(1)}%`;
+                lines.push(
+                    `${r.id} (${r.status}, ${r.startedAt ? fmtTs(r.startedAt) : "-"}): ` +
+                    `sent ${r.counts.sent}, blocked ${r.counts.blocked}, failed ${r.counts.failed}${ctr}`
+                );
+            }
+        }
+        return lines.join("\n");
+    }
+
+    // /gotd [now] (admin only): game of the day settings and history, or post today's game now
+    bot.onText(/^\/gotd(?:\s+(now))?\s*$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+
+        const config = gotdConfig();
+        try {
+            if (match?.[1]) {
+                if (!config.enabled) {
+                    await bot.sendMessage(chatId, "Game of the day is off: set TG_GOTD_CHANNEL_ID and/or TG_GOTD_BROADCAST=true.");
+                    return;
+                }
+                const entry = await runGameOfTheDay({ force: true });
+                await bot.sendMessage(
+                    chatId,
+                    entry
+                        ? `Game of the day posted: ${entry.game.name} (${entry.source}).${entry.broadcastId ? `\nBroadcast ${entry.broadcastId} started.` : ""}`
+                        : "Nothing posted: today's game already ran or no game is left outside the no-repeat window."
+                );
+                return;
+            }
+
+            const history = await listGotdHistory(10);
+            const lines = [
+                `Game of the day: ${config.enabled ? "on" : "off"}`,
+                `Channel: ${config.channelId || "-"}`,
+                `Broadcast to users: ${config.broadcast ? "yes (no approval, enabled by server config)" : "no"}`,
+                `Time: ${config.time.label} (${config.timeZone})`,
+                `No repeats within: ${config.noRepeatDays} days`,
+                "",
+                history.length ? "Recent:" : "No games posted yet.",
+                ...history.map((h) => `${h.day}: ${h.game?.name || h.gameId} (${h.source}, ${h.status})`),
+            ];
+            await bot.sendMessage(chatId, lines.join("\n"));
+        } catch (err) {
+            logFullError("gotd command failed:", err);
+            await bot.sendMessage(chatId, `Game of the day failed: ${String(err.message || err)}`);
+        }
+    });
+
+    // /stats (admin only)
+    bot.onText(/^\/stats(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+
+        try {
+            await bot.sendMessage(chatId, botStatsText(await loadBotStats()));
+        } catch (err) {
+            logFullError("loadBotStats failed:", err);
+            await bot.sendMessage(chatId, "Failed to load stats.");
+        }
+    });
+
+    /* -----------------------------
+       Referrals
+    ------------------------------ */
+    let botUsername = null;
+    async function getBotUsername() {
+        if (!botUsername) botUsername = (await bot.getMe()).username;
+        return botUsername;
+    }
+
+    async function creditReferral(from, referrerId) {
+        if (!(await recordReferral(from.id, referrerId))) return;
+
+        const count = await getReferralCount(referrerId);
+        const name = from.first_name || (from.username ? `@${from.username}` : "A friend");
+        try {
+            await bot.sendMessage(referrerId, `🎉 ${name} joined through your invite link!\nFriends invited: ${count}`);
+        } catch (err) {
+            if (isBlockedError(err)) {
+                await markUserBlocked(referrerId, telegramErrorInfo(err).description);
+                return;
+            }
+            throw err;
+        }
+    }
+
+    function referralReportText(top, days) {
+        const lines = ["Top referrers:"];
+        if (!top.length) lines.push("No referrals yet.");
+        top.forEach((u, i) => {
+            const name = u.username ? `@${u.username}` : u.firstName || "-";
+            lines.push(`${i + 1}. ${name} (${u.id}): ${u.referralCount}`);
+        });
+
+        lines.push("", `Referred signups, last ${days.days} days: ${days.total}`);
+        for (const d of days.daily) {
+            if (d.referrals) lines.push(`${d.day}: ${d.referrals}`);
+        }
+        return lines.join("\n");
+    }
+
+    // /invite: personal invite link and referral count
+    bot.onText(/^\/invite(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (msg.chat.type !== "private") return;
+
+        try {
+            const [username, count] = await Promise.all([getBotUsername(), getReferralCount(chatId)]);
+            await bot.sendMessage(
+                chatId,
+                `🎁 Invite your friends to play free demo slots!\n\nYour personal link:\n${inviteLink(username, chatId)}\n\nFriends invited: ${count}`,
+                { disable_web_page_preview: true }
+            );
+        } catch (err) {
+            logFullError("invite handler failed:", err);
+            try {
+                await bot.sendMessage(chatId, "An error occurred. Please try again later.");
+            } catch (e2) {
+                logFullError("failed to send fallback message:", e2);
+            }
+        }
+    });
+
+    // /referrals [days] (admin only): leaderboard and referred signups per day
+    bot.onText(/^\/referrals(?:\s+(\d{1,3}))?\s*$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+
+        try {
+            const [top, days] = await Promise.all([
+                listTopReferrers(15),
+                loadReferralDays(match?.[1] ? Number(match[1]) : 30),
+            ]);
+            await bot.sendMessage(chatId, referralReportText(top, days));
+        } catch (err) {
+            logFullError("referral report failed:", err);
+            await bot.sendMessage(chatId, "Failed to load the referral report.");
+        }
+    });
+
+    /* -----------------------------
+       Welcome message
+    ------------------------------ */
+    function isHomeWebAppUrl(url) {
+        try {
+            return new URL(url).toString() === new URL(webAppUrl).toString();
+        } catch {
+            return false;
+        }
+    }
+
+    // Stored welcome payloads get the default Play button when they have none; a deep-linked game
+    // replaces the mini app home in web_app buttons. Placeholders work as in broadcasts.
+    async function sendWelcome(chatId, payload, from, playUrl) {
+        let buttons = payload.buttons || [];
+        if (!buttons.length && !payload.ctaButton) buttons = [{ row: 0, type: "web_app", text: "Play Now", url: playUrl }];
+        buttons = buttons.map((b) => (b.type === "web_app" && isHomeWebAppUrl(b.url) ? { ...b, url: playUrl } : b));
+
+        let welcome = { ...payload, buttons };
+        const variables = templateVariablesIn(welcome);
+        if (variables.length) {
+            const vars = templateVarsForUser({ firstName: from?.first_name, username: from?.username }, await loadTemplateShared(variables));
+            welcome = renderPayload(welcome, vars);
+        }
+        await sendPayloadToUser(chatId, welcome);
+    }
+
+    async function saveWelcomeDraft(chatId, state, intro = "") {
+        const { welcomeLang, payload } = state;
+        if (payload.mediaGroup?.length) {
+            broadcastState.set(chatId, { welcomeLang, step: "waiting_for_message" });
+            await bot.sendMessage(chatId, "Albums cannot carry the Play button. Send a single message for the welcome.");
+            return;
+        }
+
+        broadcastState.delete(chatId);
+        try {
+            await saveWelcome(welcomeLang, payload, chatId);
+        } catch (err) {
+            logFullError("saveWelcome failed:", err);
+            await bot.sendMessage(chatId, "Failed to save the welcome message.");
+            return;
+        }
+
+        const buttons = payload.buttons?.length ? "" : "\nNo buttons: the default \"Play Now\" button is added.";
+        await bot.sendMessage(chatId, `${intro ? `${intro}\n` : ""}Welcome message for "${welcomeLang}" saved.${buttons}`);
+    }
+
+    // /setwelcome [lang] (admin only): composes the welcome for a language (default: the fallback one)
+    bot.onText(/^\/setwelcome(?:\s+(\S+))?\s*$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+
+        const welcomeLang = match?.[1] ? normalizeWelcomeLang(match[1]) : WELCOME_FALLBACK_LANG;
+        if (!welcomeLang) {
+            await bot.sendMessage(chatId, "Invalid language code. Use e.g. /setwelcome ru or /setwelcome pt-br.");
+            return;
+        }
+
+        broadcastState.set(chatId, { welcomeLang, step: "waiting_for_message" });
+        await bot.sendMessage(
+            chatId,
+            `Send the welcome message for "${welcomeLang}" (text, photo, video, document or audio).\n` +
+            `Placeholders: ${TEMPLATE_VARIABLES.map((v) => `{${v}}`).join(", ")}.\n` +
+            "Add web_app buttons to change the Play button label; without buttons \"Play Now\" is used."
+        );
+    });
+
+    // /welcomes (admin only): configured languages with preview and delete buttons
+    bot.onText(/^\/welcomes(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+
+        let list = [];
+        try {
+            list = await listWelcomes();
+        } catch (err) {
+            logFullError("listWelcomes failed:", err);
+            await bot.sendMessage(chatId, "Failed to load welcome messages.");
+            return;
+        }
+
+        const lines = [`Fallback language: ${WELCOME_FALLBACK_LANG}`];
+        if (!list.length) lines.push("No custom welcome messages; /start uses the built-in one.");
+        for (const w of list) lines.push(`${w.lang}: ${payloadPreviewText(w.payload)}`);
+
+        await bot.sendMessage(chatId, lines.join("\n"), {
+            reply_markup: {
+                inline_keyboard: list.map((w) => [
+                    { text: `Preview ${w.lang}`, callback_data: `wl_show:${w.lang}` },
+                    { text: `Delete ${w.lang}`, callback_data: `wl_del:${w.lang}` },
+                ]),
+            },
+        });
+    });
+
+    /* -----------------------------
+       Game search
+    ------------------------------ */
+    const SEARCH_RESULTS = Math.min(Math.max(Number(process.env.TG_SEARCH_RESULTS || 5) || 5, 1), 10);
+
+    function gameCaption(g) {
+        const lines = [`🎰 ${g.name}`];
+        if (g.provider) lines.push(`Provider: ${g.provider}`);
+        if (g.rtp !== null) lines.push(`RTP: ${g.rtp}%`);
+        return lines.join("\n");
+    }
+
+    async function sendGameCard(chatId, g) {
+        const reply_markup = {
+            inline_keyboard: [[{ text: "▶️ Play demo", web_app: { url: buildWebAppUrl(webAppUrl, { kind: "game", id: g.id }) } }]],
+        };
+
+        if (g.thumb) {
+            try {
+                await bot.sendPhoto(chatId, g.thumb, { caption: gameCaption(g), reply_markup });
+                return;
+            } catch (err) {
+                if (isBlockedError(err)) throw err;
+                // broken thumb URL: send the card without the picture
+            }
+        }
+        await bot.sendMessage(chatId, gameCaption(g), { reply_markup });
+    }
+
+    async function replyWithSearch(chatId, query) {
+        let games = [];
+        try {
+            games = await searchGames(query, SEARCH_RESULTS);
+        } catch (err) {
+            logFullError("searchGames failed:", err);
+            await bot.sendMessage(chatId, "Search is unavailable right now. Please try again later.");
+            return;
+        }
+
+        if (!games.length) {
+            await bot.sendMessage(chatId, `No games found for "${query}". Try another name or a provider.`);
+            return;
+        }
+        for (const g of games) await sendGameCard(chatId, g);
+    }
+
+    // /search <name> (private chats)
+    bot.onText(/^\/search(?:@\w+)?(?:\s+([\s\S]+))?$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        if (msg.chat.type !== "private") return;
+
+        const query = String(match?.[1] || "").trim();
+        try {
+            if (query.length < MIN_SEARCH_QUERY_LEN) {
+                await bot.sendMessage(chatId, "Send /search and a game name, e.g. /search sweet bonanza. You can also just type the name.");
+                return;
+            }
+            await replyWithSearch(chatId, query);
+        } catch (err) {
+            logFullError("search handler failed:", err);
+        }
+    });
+
+    // Plain text in a private chat is a search query, unless an admin is in the middle of a composer step.
+    bot.on("message", async (msg) => {
+        const chatId = msg.chat.id;
+        const text = typeof msg.text === "string" ? msg.text.trim() : "";
+        if (msg.chat.type !== "private" || !text || text.startsWith("/") || msg.via_bot) return;
+        if (isAdmin(chatId) && broadcastState.has(chatId)) return;
+
+        try {
+            await replyWithSearch(chatId, text.slice(0, 100));
+        } catch (err) {
+            logFullError("search reply failed:", err);
+        }
+    });
+
+    /* -----------------------------
+       Catalog browsing (/games, /top, /new, /casual, /providers)
+    ------------------------------ */
+    // Same sections as the mini app home. Pages are edited in place:
+    //   cat_menu, cat:<sectionId>:<page>, pvl:<page> (providers), pv:<providerKey>:<page>
+    const CATALOG_PAGE_SIZE = 8;
+    const PROVIDERS_PAGE_SIZE = 10;
+    const PROVIDER_KEY_LEN = 48; // keeps pv:<key>:<page> within the 64-byte callback_data limit
+    const SECTION_COMMANDS = { top: "best", new: "new", casual: "casual" };
+
+    function pageOf(items, page, size) {
+        const pages = Math.max(1, Math.ceil(items.length / size));
+        const p = Math.min(Math.max(Number(page) || 0, 0), pages - 1);
+        return { p, pages, items: items.slice(p * size, (p + 1) * size) };
+    }
+
+    function navRow(prefix, p, pages) {
+        const row = [];
+        if (p > 0) row.push({ text: "◀️ Prev", callback_data: `${prefix}:${p - 1}` });
+        row.push({ text: `${p + 1}/${pages}`, callback_data: "cat_noop" });
+        if (p < pages - 1) row.push({ text: "Next ▶️", callback_data: `${prefix}:${p + 1}` });
+        return row;
+    }
+
+    function gameListView(title, games, prefix, page, back) {
+        const { p, pages, items } = pageOf(games, page, CATALOG_PAGE_SIZE);
+        const lines = items.map((g, i) => {
+            const rtp = g.rtp !== null && g.rtp !== undefined ? ` · RTP ${g.rtp}%` : "";
+            return `${p * CATALOG_PAGE_SIZE + i + 1}. ${g.name}${g.provider ? ` — ${g.provider}` : ""}${rtp}`;
+        });
+
+        const inline_keyboard = items.map((g) => [
+            { text: `▶️ ${g.name}`, web_app: { url: buildWebAppUrl(webAppUrl, { kind: "game", id: g.id }) } },
+        ]);
+        if (pages > 1) inline_keyboard.push(navRow(prefix, p, pages));
+        inline_keyboard.push([back]);
+
+        return { text: `${title}\n\n${lines.join("\n") || "No games here yet."}`, reply_markup: { inline_keyboard } };
+    }
+
+    async function catalogMenuView() {
+        const sections = await getHomeSections();
+        return {
+            text: "🎰 Browse games",
+            reply_markup: {
+                inline_keyboard: [
+                    ...sections.map((s) => [{ text: `${s.icon} ${s.title}`, callback_data: `cat:${s.id}:0` }]),
+                    [{ text: "🏢 Providers", callback_data: "pvl:0" }],
+                ],
+            },
+        };
+    }
+
+    async function sectionView(sectionId, page) {
+        const section = (await getHomeSections()).find((s) => s.id === sectionId);
+        if (!section) return null;
+        return gameListView(`${section.icon} ${section.title}`, section.games, `cat:${section.id}`, page, {
+            text: "⬅️ All sections",
+            callback_data: "cat_menu",
+        });
+    }
+
+    async function providersView(page) {
+        const { p, pages, items } = pageOf(await listProviders(), page, PROVIDERS_PAGE_SIZE);
+        const inline_keyboard = items.map((pr) => [
+            { text: `${pr.name} (${pr.count})`, callback_data: `pv:${pr.key.slice(0, PROVIDER_KEY_LEN)}:0` },
+        ]);
+        if (pages > 1) inline_keyboard.push(navRow("pvl", p, pages));
+        inline_keyboard.push([{ text: "⬅️ All sections", callback_data: "cat_menu" }]);
+        return { text: items.length ? "🏢 Providers" : "🏢 No providers yet.", reply_markup: { inline_keyboard } };
+    }
+
+    async function providerGamesView(key, page, userId) {
+        const provider = (await listProviders()).find((pr) => pr.key.slice(0, PROVIDER_KEY_LEN) === key);
+        if (!provider) return null;
+
+        const view = gameListView(`🏢 ${provider.name}`, await gamesByProvider(provider.key), `pv:${key}`, page, {
+            text: "⬅️ Providers",
+            callback_data: "pvl:0",
+        });
+        const subscribed = ((await getUser(userId))?.providerSubs || []).includes(provider.key);
+        view.reply_markup.inline_keyboard.unshift([
+            subscribed
+                ? { text: "🔕 Stop new-game alerts", callback_data: `punsub:${key}` }
+                : { text: "🔔 Alert me about new games", callback_data: `psub:${key}` },
+        ]);
+        return view;
+    }
+
+    async function showCatalogView(chatId, view, message = null) {
+        if (!view) {
+            await bot.sendMessage(chatId, "This list is no longer available. Send /games to start over.");
+            return;
+        }
+
+        if (message) {
+            try {
+                await bot.editMessageText(view.text, { chat_id: chatId, message_id: message.message_id, reply_markup: view.reply_markup });
+                return;
+            } catch (err) {
+                if (/message is not modified/i.test(telegramErrorInfo(err).description || "")) return;
+                // too old to edit: send a new message instead
+            }
+        }
+        await bot.sendMessage(chatId, view.text, { reply_markup: view.reply_markup });
+    }
+
+    function isCatalogCallback(data) {
+        return data === "cat_menu" || data === "cat_noop" || /^(cat|pvl|pv|psub|punsub):/.test(data);
+    }
+
+    // Provider alerts are toggled from the provider's game list or from /alerts.
+    async function toggleProviderAlert(callbackQuery, key, subscribed) {
+        const userId = callbackQuery.from.id;
+        const provider = (await listProviders()).find((pr) => pr.key.slice(0, PROVIDER_KEY_LEN) === key);
+        const subs = (await getUser(userId))?.providerSubs || [];
+        const keys = subscribed
+            ? [provider?.key].filter(Boolean)
+            : subs.filter((k) => k.slice(0, PROVIDER_KEY_LEN) === key);
+        if (keys.length) await setProviderSubscription(userId, keys, subscribed);
+
+        const name = provider?.name || key;
+        bot.answerCallbackQuery(callbackQuery.id, {
+            text: subscribed ? `You'll get new ${name} games once a day at most.` : `Alerts for ${name} stopped.`,
+        }).catch(() => { });
+
+        const message = callbackQuery.message;
+        if (!message) return;
+        if (message.text?.startsWith("🔔 Your new-game alerts")) await showCatalogView(message.chat.id, await alertsView(userId), message);
+        else if (provider) await showCatalogView(message.chat.id, await providerGamesView(key, 0, userId), message);
+    }
+
+    async function alertsView(userId) {
+        const subs = (await getUser(userId))?.providerSubs || [];
+        const names = new Map((await listProviders()).map((pr) => [pr.key, pr.name]));
+        const text = subs.length
+            ? `🔔 Your new-game alerts (one digest per day at most):\n${subs.map((k) => `• ${names.get(k) || k}`).join("\n")}`
+            : "🔔 Your new-game alerts\n\nYou have none yet. Open a provider in /providers and tap \"Alert me about new games\".";
+        return {
+            text,
+            reply_markup: {
+                inline_keyboard: [
+                    ...subs.map((k) => [{ text: `🔕 ${names.get(k) || k}`, callback_data: `punsub:${k.slice(0, PROVIDER_KEY_LEN)}` }]),
+                    [{ text: "🏢 Providers", callback_data: "pvl:0" }],
+                ],
+            },
+        };
+    }
+
+    async function answerCatalogButton(callbackQuery, data) {
+        const chatId = callbackQuery.message?.chat?.id;
+        if (!chatId || data === "cat_noop") {
+            bot.answerCallbackQuery(callbackQuery.id).catch(() => { });
+            return;
+        }
+
+        if (data.startsWith("psub:") || data.startsWith("punsub:")) {
+            await toggleProviderAlert(callbackQuery, data.slice(data.indexOf(":") + 1), data.startsWith("psub:"));
+            return;
+        }
+        bot.answerCallbackQuery(callbackQuery.id).catch(() => { });
+
+        const page = Number(data.slice(data.lastIndexOf(":") + 1));
+        let view;
+        if (data === "cat_menu") view = await catalogMenuView();
+        else if (data.startsWith("cat:")) view = await sectionView(data.split(":")[1], page);
+        else if (data.startsWith("pvl:")) view = await providersView(page);
+        else view = await providerGamesView(data.slice("pv:".length, data.lastIndexOf(":")), page, callbackQuery.from.id);
+
+        await showCatalogView(chatId, view, callbackQuery.message);
+    }
+
+    // /alerts: provider subscriptions for new-game digests
+    bot.onText(/^\/alerts(?:@\w+)?(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (msg.chat.type !== "private") return;
+
+        try {
+            await showCatalogView(chatId, await alertsView(chatId));
+        } catch (err) {
+            logFullError("alerts command failed:", err);
+            await bot.sendMessage(chatId, "An error occurred. Please try again later.");
+        }
+    });
+
+    // /games, /top, /new, /casual and /providers (private chats: web_app buttons only work there)
+    bot.onText(/^\/(games|top|new|casual|providers)(?:@\w+)?(?:\s|$)/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        if (msg.chat.type !== "private") return;
+
+        try {
+            const command = match[1];
+            let view;
+            if (command === "games") view = await catalogMenuView();
+            else if (command === "providers") view = await providersView(0);
+            else view = await sectionView(SECTION_COMMANDS[command], 0);
+            await showCatalogView(chatId, view);
+        } catch (err) {
+            logFullError("catalog command failed:", err);
+            await bot.sendMessage(chatId, "Games are unavailable right now. Please try again later.");
+        }
+    });
+
+    /* -----------------------------
+       Inline mode (@bot <game name> in any chat)
+    ------------------------------ */
+    // web_app buttons only work in the bot's private chat, so shared cards deep-link into the bot
+    // (start=inline__g<id>: attributed to the "inline" source and opening the game).
+    const INLINE_RESULTS = 20;
+    const INLINE_CACHE_TTL_MS = 5 * 60 * 1000;
+    const inlineCache = new Map(); // query key -> { ts, games }
+    const inlineGames = new Map(); // game id -> game of a served result, for chosen_inline_result
+
+    async function inlineGamesFor(query) {
+        const key = keyName(query);
+        const cached = inlineCache.get(key);
+        if (cached && Date.now() - cached.ts < INLINE_CACHE_TTL_MS) return cached.games;
+
+        // An empty query shows the most shared games.
+        const games = key.length >= MIN_SEARCH_QUERY_LEN
+            ? await searchGames(query, INLINE_RESULTS)
+            : await listTopSharedGames(INLINE_RESULTS);
+
+        if (inlineCache.size > 1000) inlineCache.clear();
+        if (inlineGames.size > 5000) inlineGames.clear();
+        inlineCache.set(key, { ts: Date.now(), games });
+        for (const g of games) inlineGames.set(String(g.id), g);
+        return games;
+    }
+
+    function inlineResult(g, username) {
+        return {
+            type: "article",
+            id: String(g.id),
+            title: g.name || "Game",
+            description: [g.provider, g.rtp !== null && g.rtp !== undefined ? `RTP ${g.rtp}%` : ""].filter(Boolean).join(" · "),
+            thumbnail_url: g.thumb || undefined,
+            input_message_content: {
+                message_text: gameCaption(g),
+                link_preview_options: g.thumb
+                    ? { url: g.thumb, prefer_large_media: true, show_above_text: true }
+                    : { is_disabled: true },
+            },
+            reply_markup: {
+                inline_keyboard: [[{ text: "▶️ Play demo", url: `https://t.me/${username}?start=inline__g${g.id}` }]],
+            },
+        };
+    }
+
+    bot.on("inline_query", async (inlineQuery) => {
+        try {
+            const [games, username] = await Promise.all([inlineGamesFor(inlineQuery.query || ""), getBotUsername()]);
+            await bot.answerInlineQuery(inlineQuery.id, games.map((g) => inlineResult(g, username)), { cache_time: 300 });
+        } catch (err) {
+            logFullError("inline query failed:", err);
+        }
+    });
+
+    bot.on("chosen_inline_result", async (result) => {
+        try {
+            let game = inlineGames.get(String(result.result_id));
+            if (!game) {
+                const snap = await db().collection("games").doc(String(result.result_id)).get();
+                if (!snap.exists) return;
+                game = toClientGame(snap.data());
+            }
+            await recordGameShare(game, result.from?.id);
+        } catch (err) {
+            logFullError("recordGameShare failed:", err);
+        }
+    });
+
+    // /start
+    bot.onText(/^\/start(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        const username = msg.from?.username || "";
+
+        try {
+            // Deep-link source; a failure here must not cost us the welcome message.
+            const start = parseStartPayload(msg.text);
+            const attribution = msg.chat.type === "private"
+                ? await recordStartAttribution(chatId, start).catch((err) => {
+                    logFullError("recordStartAttribution failed:", err);
+                    return null;
+                })
+                : null;
+
+            await addUser(msg.from || { id: chatId, username });
+
+            // Only users joining for the first time count as referrals.
+            if (attribution?.isNew && start?.referrerId) {
+                creditReferral(msg.from, start.referrerId).catch((err) => logFullError("creditReferral failed:", err));
+            }
+
+            const playUrl = start?.gameId ? buildWebAppUrl(webAppUrl, { kind: "game", id: start.gameId }) : webAppUrl;
+            const imageUrl = process.env.TG_WELCOME_IMAGE_URL; // optional
+
+            const caption = "👋 Welcome, " + `${username}` + "!\n\n🎰 Wanna spin without risk?\nPlay free demo slots only inside this bot\n\n🏆 Top-rated games & working providers always available\n\n💎 Hidden bonuses & special offers unlocked for players\n\n🔥 Best slots updated daily — don’t miss hot games\n\n👇 Hit play now & start spinning";
+
+            const reply_markup = {
+                inline_keyboard: [[{ text: "Play Now", web_app: { url: playUrl } }]],
+            };
+
+            const welcome = await getWelcomeFor(msg.from?.language_code).catch((err) => {
+                logFullError("getWelcomeFor failed:", err);
+                return null;
+            });
+
+            try {
+                if (welcome) {
+                    await sendWelcome(chatId, welcome.payload, msg.from, playUrl);
+                } else if (imageUrl) {
+                    await bot.sendPhoto(chatId, imageUrl, { caption, reply_markup });
+                } else {
+                    await bot.sendMessage(chatId, caption, { reply_markup });
+                }
+            } catch (err) {
+                logFullError("failed to reply to /start:", err);
+                throw err;
+            }
+        } catch (err) {
+            logFullError("start handler failed:", err);
+            // Try to send something even if DB fails
+            try {
+                await bot.sendMessage(chatId, "An error occurred. Please try again later.");
+            } catch (e2) {
+                logFullError("failed to send fallback message:", e2);
+            }
+        }
+    });
+
+    // /broadcast (admin only)
+    bot.onText(/^\/broadcast(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) {
+            await bot.sendMessage(chatId, "You are not authorized to broadcast.");
+            return;
+        }
+
+        broadcastState.set(chatId, { step: "waiting_for_message" });
+        await bot.sendMessage(
+            chatId,
+            "Send the message you want to broadcast (text, photo, video, document, audio or an album).\n" +
+            `Placeholders: ${TEMPLATE_VARIABLES.map((v) => `{${v}}`).join(", ")} (fallback: {first_name|friend}).`
+        );
+    });
+
+    // /scheduled (admin only)
+    bot.onText(/^\/scheduled(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+        await showScheduledList(chatId);
+    });
+
+    // /broadcasts (admin only)
+    bot.onText(/^\/broadcasts(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+        await showBroadcastHistory(chatId);
+    });
+
+    // /sources [days] (admin only): signups and starts per deep-link source
+    bot.onText(/^\/sources(?:\s+(\d{1,3}))?\s*$/, async (msg, match) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+
+        let report;
+        try {
+            report = await loadSourceReport(match?.[1] ? Number(match[1]) : 30);
+        } catch (err) {
+            logFullError("loadSourceReport failed:", err);
+            await bot.sendMessage(chatId, "Failed to load the source report.");
+            return;
+        }
+
+        await bot.sendMessage(chatId, sourceReportText(report));
+    });
+
+    // /drafts (admin only): drafts waiting for approval
+    bot.onText(/^\/drafts(?:\s|$)/, async (msg) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+
+        let list = [];
+        try {
+            list = await listPendingDrafts();
+        } catch (err) {
+            logFullError("listPendingDrafts failed:", err);
+            await bot.sendMessage(chatId, "Failed to load drafts.");
+            return;
+        }
+
+        if (!list.length) {
+            await bot.sendMessage(chatId, APPROVAL_REQUIRED ? "No drafts waiting for approval." : "Approval is not enabled.");
+            return;
+        }
+
+        for (const d of list) {
+            const m = await showDraft(chatId, d);
+            // Keep this copy in sync with the decision too.
+            d.notifications = [...(d.notifications || []), { chatId, messageId: m.message_id }];
+            await updateDraft(d.id, { notifications: d.notifications });
+        }
+    });
+
+    // Activity of every user in private chats (/start records it in its own handler).
+    bot.on("message", (msg) => {
+        if (msg.chat?.type !== "private" || !msg.from || /^\/start(?:\s|$)/.test(msg.text || "")) return;
+        addUser(msg.from).catch((err) => logFullError("addUser failed:", err));
+    });
+
+    // Admin message state machine
+    bot.on("message", async (msg) => {
+        const chatId = msg.chat.id;
+        if (!isAdmin(chatId)) return;
+
+        const state = broadcastState.get(chatId);
+        if (!state) return;
+
+        if (typeof msg.text === "string" && msg.text.startsWith("/")) return;
+
+        if (msg.media_group_id && (state.step === "waiting_for_message" || state.step === "waiting_for_replace_message")) {
+            collectAlbumPart(chatId, msg);
+            return;
+        }
+
+        if (state.step === "waiting_for_message") {
+            const payload = extractPayload(chatId, msg);
+            if (!isSupportedPayload(payload)) {
+                await bot.sendMessage(chatId, "Unsupported type. Send text/photo/video/document/audio.");
+                return;
+            }
+            await startDraft(chatId, payload, draftContext(state));
+            return;
+        }
+
+        if (state.step === "waiting_for_button_text") {
+            const buttonText = String(msg.text || "").trim();
+            if (!buttonText) {
+                await bot.sendMessage(chatId, "Button text cannot be empty. Send button text.");
+                return;
+            }
+            if (buttonText.length > 64) {
+                await bot.sendMessage(chatId, "Button text is too long. Keep it under 64 characters.");
+                return;
+            }
+
+            if (state.buttonType === "web_app") {
+                broadcastState.set(chatId, { ...state, step: "waiting_for_button_webapp_target", buttonText });
+                await bot.sendMessage(
+                    chatId,
+                    "What should the mini app open? Send \"home\", \"game <id>\" or \"category <id>\"."
+                );
+                return;
+            }
+
+            if (state.buttonType === "callback") {
+                broadcastState.set(chatId, { ...state, step: "waiting_for_button_reply", buttonText });
+                await bot.sendMessage(
+                    chatId,
+                    `Send the text users see when they tap the button (max ${MAX_BUTTON_REPLY_LEN} characters).`
+                );
+                return;
+            }
+
+            broadcastState.set(chatId, { ...state, step: "waiting_for_button_url", buttonText });
+            await bot.sendMessage(chatId, "Send button URL (must start with https:// or http://).");
+            return;
+        }
+
+        if (state.step === "waiting_for_button_url") {
+            const normalizedUrl = normalizeHttpUrl(msg.text || "");
+            if (!normalizedUrl) {
+                await bot.sendMessage(chatId, "Invalid URL. Send a valid https:// or http:// URL.");
+                return;
+            }
+
+            await addButtonToDraft(chatId, state, { type: "url", text: state.buttonText, url: normalizedUrl });
+            return;
+        }
+
+        if (state.step === "waiting_for_button_webapp_target") {
+            const target = parseWebAppTarget(msg.text);
+            if (!target) {
+                await bot.sendMessage(chatId, "Invalid target. Send \"home\", \"game <id>\" or \"category <id>\".");
+                return;
+            }
+
+            const url = buildWebAppUrl(webAppUrl, target);
+            await addButtonToDraft(chatId, state, { type: "web_app", text: state.buttonText, url });
+            return;
+        }
+
+        if (state.step === "waiting_for_button_reply") {
+            const reply = String(msg.text || "").trim();
+            if (!reply) {
+                await bot.sendMessage(chatId, "Reply text cannot be empty. Send reply text.");
+                return;
+            }
+            if (reply.length > MAX_BUTTON_REPLY_LEN) {
+                await bot.sendMessage(chatId, `Reply text is too long. Keep it under ${MAX_BUTTON_REPLY_LEN} characters.`);
+                return;
+            }
+
+            const button = { type: "callback", text: state.buttonText, id: makeId() };
+            try {
+                await saveCallbackButton({ id: button.id, text: button.text, reply });
+            } catch (err) {
+                logFullError("saveCallbackButton failed:", err);
+                await bot.sendMessage(chatId, "Failed to save the button. Send reply text again.");
+                return;
+            }
+
+            await addButtonToDraft(chatId, state, button);
+            return;
+        }
+
+        if (state.step === "waiting_for_segment_value") {
+            let input = msg.text || "";
+            if (state.segmentType === "ids" && msg.document) {
+                if (Number(msg.document.file_size || 0) > 1024 * 1024) {
+                    await bot.sendMessage(chatId, "File is too large (max 1 MB).");
+                    return;
+                }
+                try {
+                    input = await readUploadedText(msg.document.file_id);
+                } catch (err) {
+                    logFullError("segment file download failed:", err);
+                    await bot.sendMessage(chatId, "Could not read the file. Send the IDs as text instead.");
+                    return;
+                }
+            }
+
+            const segment = parseSegmentInput(state.segmentType, input);
+            if (!segment) {
+                await bot.sendMessage(chatId, `Invalid value. ${SEGMENT_PROMPTS[state.segmentType]}`);
+                return;
+            }
+
+            await applySegment(chatId, state, segment);
+            return;
+        }
+
+        if (state.step === "waiting_for_schedule_at") {
+            const when = parseScheduleInput(state.mode, msg.text || "");
+            if (!when) {
+                await bot.sendMessage(chatId, `Invalid value.\n${schedulePrompt(state.mode)}`);
+                return;
+            }
+
+            const id = makeId();
+            const schedule = {
+                id,
+                adminChatId: chatId,
+                payload: state.payload,
+                segment: state.segment || { type: "all" },
+                mode: state.mode,
+                ...when,
+                endAt: null,
+                maxRuns: null,
+                runCount: 0,
+                status: "active",
+                approvalDraftId: null,
+                ...pendingApprovalPatch(),
+                createdAt: Date.now(),
+                lastRunAt: null,
+            };
+            try {
+                await saveSchedule(schedule);
+                if (APPROVAL_REQUIRED) await requestScheduleApproval(chatId, msg.from, schedule);
+            } catch (err) {
+                logFullError("saveSchedule failed:", err);
+                await bot.sendMessage(chatId, "Failed to save schedule. Please try again.");
+                return;
+            }
+
+            broadcastState.delete(chatId);
+
+            const s = { mode: state.mode, ...when, status: schedule.status };
+            if (state.mode === "once") {
+                const pending = APPROVAL_REQUIRED ? "\nAwaiting approval by another admin" : "";
+                await bot.sendMessage(
+                    chatId,
+                    `Scheduled (one-time).\nID: ${id}\nRun at: ${fmtTs(when.nextRunAt, when.timeZone)}${pending}`
+                );
+            } else {
+                await bot.sendMessage(
+                    chatId,
+                    `Scheduled (${scheduleModeLabel(s).toLowerCase()}).\nID: ${id}\n${scheduleSummary(s)}\nOptionally limit how long it repeats:`,
+                    { reply_markup: scheduleLimitKeyboard(id) }
+                );
+            }
+            return;
+        }
+
+        if (state.step === "waiting_for_edit_time") {
+            await saveScheduleEdit(
+                chatId,
+                state.scheduleId,
+                (s) => parseScheduleInput(s.mode, msg.text || "", scheduleTimeZone(s)),
+                (s) => `Invalid value.\n${schedulePrompt(s.mode, scheduleTimeZone(s))}`
+            );
+            return;
+        }
+
+        if (state.step === "waiting_for_edit_timezone") {
+            const timeZone = String(msg.text || "").trim();
+            if (!isValidTimeZone(timeZone)) {
+                await bot.sendMessage(chatId, "Unknown time zone. Send an IANA name like Europe/Berlin or UTC.");
+                return;
+            }
+
+            await saveScheduleEdit(
+                chatId,
+                state.scheduleId,
+                (s) => changeScheduleTimeZone(s, timeZone),
+                () => "In that time zone the run time is already in the past. Edit the time first."
+            );
+            return;
+        }
+
+        if (state.step === "waiting_for_edit_end") {
+            await saveScheduleEdit(
+                chatId,
+                state.scheduleId,
+                (s) => parseEndDateInput(msg.text || "", scheduleTimeZone(s)),
+                () => "Invalid end date. Send a future YYYY-MM-DD or YYYY-MM-DD HH:mm, or none."
+            );
+            return;
+        }
+
+        if (state.step === "waiting_for_edit_max_runs") {
+            await saveScheduleEdit(
+                chatId,
+                state.scheduleId,
+                () => parseMaxRunsInput(msg.text || ""),
+                () => "Invalid number. Send a number, or none."
+            );
+            return;
+        }
+
+        if (state.step === "waiting_for_replace_message") {
+            const payload = extractPayload(chatId, msg);
+            if (!isSupportedPayload(payload)) {
+                await bot.sendMessage(chatId, "Unsupported type. Send text/photo/video/document/audio.");
+                return;
+            }
+            await replaceSchedulePayload(chatId, state.scheduleId, payload);
+            return;
+        }
+    });
+
+    // Callback actions
+    async function answerBroadcastButton(callbackQuery, buttonId) {
+        let button = null;
+        try {
+            button = await getCallbackButton(buttonId);
+        } catch (err) {
+            logFullError("getCallbackButton failed:", err);
+        }
 
-        try {
-            await addUser(chatId, username);
+        bot.answerCallbackQuery(callbackQuery.id, {
+            text: button?.reply || "This button is no longer available.",
+            show_alert: Boolean(button?.reply),
+        }).catch(() => { });
 
-            const imageUrl = process.env.TG_WELCOME_IMAGE_URL; // optional
+        if (button) {
+            recordCallbackButtonClick(buttonId).catch((err) => logFullError("recordCallbackButtonClick failed:", err));
+        }
+    }
 
-            const caption = "👋 Welcome, " + `${username}` + "!\n\n🎰 Wanna spin without risk?\nPlay free demo slots only inside this bot\n\n🏆 Top-rated games & working providers always available\n\n💎 Hidden bonuses & special offers unlocked for players\n\n🔥 Best slots updated daily — don’t miss hot games\n\n👇 Hit play now & start spinning";
+    bot.on("callback_query", async (callbackQuery) => {
+        const chatId = callbackQuery.message?.chat?.id;
+        const data = callbackQuery.data || "";
 
-            const reply_markup = {
-                inline_keyboard: [[{ text: "Play Now", web_app: { url: webAppUrl } }]],
-            };
+        // The deletion confirmation must not write the user doc again.
+        if (callbackQuery.message?.chat?.type === "private" && callbackQuery.from && !data.startsWith("gdpr_del:")) {
+            addUser(callbackQuery.from).catch((err) => logFullError("addUser failed:", err));
+        }
+
+        // Callback buttons inside broadcasts are tapped by regular users.
+        if (data.startsWith("bc_btn:")) {
+            await answerBroadcastButton(callbackQuery, data.slice("bc_btn:".length));
+            return;
+        }
 
+        if (isCatalogCallback(data)) {
             try {
-                if (imageUrl) {
-                    await bot.sendPhoto(chatId, imageUrl, { caption, reply_markup });
-                } else {
-                    await bot.sendMessage(chatId, caption, { reply_markup });
-                }
+                await answerCatalogButton(callbackQuery, data);
             } catch (err) {
-                logFullError("failed to reply to /start:", err);
-                throw err;
-            }
-        } catch (err) {
-            logFullError("start handler failed:", err);
-            // Try to send something even if DB fails
-            try {
-                await bot.sendMessage(chatId, "An error occurred. Please try again later.");
-            } catch (e2) {
-                logFullError("failed to send fallback message:", e2);
+                logFullError("catalog browser failed:", err);
             }
+            return;
         }
-    });
 
-    // /broadcast (admin only)
-    bot.onText(/^\/broadcast(?:\s|$)/, async (msg) => {
-        const chatId = msg.chat.id;
-        if (!isAdmin(chatId)) {
-            await bot.sendMessage(chatId, "You are not authorized to broadcast.");
+        if (data === "gdpr_del:yes" || data === "gdpr_del:no") {
+            await answerDeleteMe(callbackQuery, data === "gdpr_del:yes");
             return;
         }
 
-        broadcastState.set(chatId, { step: "waiting_for_message" });
-        await bot.sendMessage(
-            chatId,
-            "Send the message you want to broadcast (text, photo, video, document, audio)."
-        );
-    });
+        if (data === "consent:on" || data === "consent:off") {
+            await answerConsentButton(callbackQuery, data === "consent:on");
+            return;
+        }
 
-    // /scheduled (admin only)
-    bot.onText(/^\/scheduled(?:\s|$)/, async (msg) => {
-        const chatId = msg.chat.id;
-        if (!isAdmin(chatId)) return;
-        await showScheduledList(chatId);
-    });
+        if (!chatId || !isAdmin(chatId)) return;
 
-    // Admin message state machine
-    bot.on("message", async (msg) => {
-        const chatId = msg.chat.id;
-        if (!isAdmin(chatId)) return;
+        if (callbackQuery.id) {
+            bot.answerCallbackQuery(callbackQuery.id).catch(() => { });
+        }
 
         const state = broadcastState.get(chatId);
-        if (!state) return;
 
-        if (typeof msg.text === "string" && msg.text.startsWith("/")) return;
+        if (data.startsWith("wl_show:") || data.startsWith("wl_del:")) {
+            const [action, lang] = data.split(":");
+            try {
+                if (action === "wl_del") {
+                    await deleteWelcome(lang);
+                    await bot.sendMessage(chatId, `Welcome message for "${lang}" deleted.`);
+                    return;
+                }
 
-        if (state.step === "waiting_for_message") {
-            const payload = extractPayload(chatId, msg);
-            if (!isSupportedPayload(payload)) {
-                await bot.sendMessage(chatId, "Unsupported type. Send text/photo/video/document/audio.");
-                return;
+                const w = (await listWelcomes()).find((x) => x.lang === lang);
+                if (!w) {
+                    await bot.sendMessage(chatId, "Welcome message no longer exists.");
+                    return;
+                }
+                await sendWelcome(chatId, w.payload, callbackQuery.from, webAppUrl);
+            } catch (err) {
+                logFullError(`${action} failed:`, err);
+                await bot.sendMessage(chatId, "Failed. Please try again.");
             }
+            return;
+        }
+
+        if (data === "bc_cancel_draft") {
+            broadcastState.delete(chatId);
+            await bot.sendMessage(chatId, "Draft cancelled.");
+            return;
+        }
+
+        if (data === "bc_send_now") {
+            if (!state || state.step !== "choosing_delivery" || state.variants?.length) return;
+
+            const { payload, segment, audienceSize } = state;
+            broadcastState.delete(chatId);
 
-            broadcastState.set(chatId, { step: "choosing_button_option", payload });
+            if (APPROVAL_REQUIRED) {
+                try {
+                    await requestApproval(chatId, callbackQuery.from, { kind: "now", payload, segment, audienceSize });
+                } catch (err) {
+                    logFullError("requestApproval failed:", err);
+                    await bot.sendMessage(chatId, "Failed to save the draft for approval. Please try again.");
+                }
+                return;
+            }
 
             try {
-                await sendPayloadToUser(chatId, payload); // preview
-                await bot.sendMessage(chatId, "Do you want to add a URL button under this message?", {
-                    reply_markup: addUrlButtonKeyboard(),
+                const result = await sendBroadcastNow(payload, {
+                    adminChatId: chatId,
+                    segment,
+                    audienceSize,
+                    startedBy: callbackQuery.from?.id ?? chatId,
+                    startedByUsername: callbackQuery.from?.username || "",
                 });
+                await bot.sendMessage(chatId, `Broadcast ${result.status}.\n${broadcastResultText(result)}`);
             } catch (err) {
-                logFullError("broadcast preview failed:", err);
-                broadcastState.delete(chatId);
-                await bot.sendMessage(chatId, "Preview failed. Please send /broadcast and try again.");
+                await bot.sendMessage(chatId, `Broadcast failed: ${String(err.message || err)}`);
             }
             return;
         }
 
-        if (state.step === "waiting_for_button_text") {
-            const buttonText = String(msg.text || "").trim();
-            if (!buttonText) {
-                await bot.sendMessage(chatId, "Button text cannot be empty. Send button text.");
+        if (data.startsWith("bc_ctl:")) {
+            const [action, broadcastId] = data.slice("bc_ctl:".length).split(":");
+            const messageId = callbackQuery.message?.message_id;
+
+            if (action === "abort_ask" || action === "back") {
+                const b = await getBroadcast(broadcastId);
+                if (!b) return;
+                const reply_markup =
+                    action === "back"
+                        ? progressKeyboard(b)
+                        : {
+                            inline_keyboard: [
+                                [{ text: "Abort, keep sent messages", callback_data: `bc_ctl:abort:${broadcastId}` }],
+                                [{ text: "Abort and delete sent messages", callback_data: `bc_ctl:abort_del:${broadcastId}` }],
+                                [{ text: "Back", callback_data: `bc_ctl:back:${broadcastId}` }],
+                            ],
+                        };
+                await bot.editMessageReplyMarkup(reply_markup, { chat_id: chatId, message_id: messageId }).catch(() => { });
                 return;
             }
-            if (buttonText.length > 64) {
-                await bot.sendMessage(chatId, "Button text is too long. Keep it under 64 characters.");
+
+            let b = null;
+            try {
+                b = await controlBroadcast(broadcastId, action === "abort_del" ? "abort" : action, {
+                    deleteSent: action === "abort_del",
+                    by: callbackQuery.from?.id ?? chatId,
+                });
+            } catch (err) {
+                logFullError("controlBroadcast failed:", err);
+            }
+
+            if (!b) {
+                const current = await getBroadcast(broadcastId).catch(() => null);
+                await bot.sendMessage(chatId, `Cannot ${action.replace("_del", "")} broadcast ${broadcastId} (status: ${current?.status || "unknown"}).`);
                 return;
             }
 
-            broadcastState.set(chatId, {
-                step: "waiting_for_button_url",
-                payload: state.payload,
-                buttonText,
-            });
-            await bot.sendMessage(chatId, "Send button URL (must start with https:// or http://).");
+            const notes = {
+                pause: "Pausing… delivery stops within a few seconds.",
+                resume: "Resumed.",
+                abort: "Aborting…",
+                abort_del: "Aborting… sent messages will be deleted.",
+            };
+            await bot.sendMessage(chatId, `Broadcast ${broadcastId}: ${notes[action] || "OK"}`);
             return;
         }
 
-        if (state.step === "waiting_for_button_url") {
-            const normalizedUrl = normalizeHttpUrl(msg.text || "");
-            if (!normalizedUrl) {
-                await bot.sendMessage(chatId, "Invalid URL. Send a valid https:// or http:// URL.");
+        if (data === "bc_send_test") {
+            if (!state || state.step !== "choosing_delivery" || !TEST_CHAT_IDS.length) return;
+
+            const payloads = [...(state.variants || []), state.payload];
+            const { ok, errors } = await sendTestToChats(payloads);
+            const lines = [`Test sent: ${ok}/${payloads.length * TEST_CHAT_IDS.length} message(s) to ${TEST_CHAT_IDS.length} test chat(s).`];
+            if (errors.length) lines.push(`Failed:\n${errors.join("\n")}`);
+            await showDeliveryMenu(chatId, state, lines.join("\n"));
+            return;
+        }
+
+        if (data.startsWith("appr_ok:") || data.startsWith("appr_no:")) {
+            const approve = data.startsWith("appr_ok:");
+            const draftId = data.slice("appr_ok:".length);
+
+            let d = null;
+            try {
+                d = await decideDraft(draftId, {
+                    status: approve ? "approved" : "rejected",
+                    decidedBy: callbackQuery.from?.id ?? chatId,
+                    decidedByUsername: callbackQuery.from?.username || "",
+                });
+            } catch (err) {
+                logFullError("decideDraft failed:", err);
+                await bot.sendMessage(chatId, "Failed to update the draft. Please try again.");
                 return;
             }
 
-            const payload = {
-                ...state.payload,
-                ctaButton: { text: state.buttonText, url: normalizedUrl },
-            };
+            if (!d) {
+                const current = await getDraft(draftId).catch(() => null);
+                await bot.sendMessage(
+                    chatId,
+                    current?.status === "pending"
+                        ? "You cannot approve your own draft; another admin has to."
+                        : `Draft is already ${current ? draftStatusLabel(current) : "gone"}.`
+                );
+                return;
+            }
 
-            broadcastState.set(chatId, { step: "choosing_delivery", payload });
+            await refreshDraftMessages(d);
 
-            await bot.sendMessage(
-                chatId,
-                `URL button added: "${payload.ctaButton.text}" -> ${payload.ctaButton.url}\nChoose delivery mode:`,
-                { reply_markup: sendModeKeyboard() }
-            );
+            if (approve) {
+                await runApprovedDraft(d);
+                return;
+            }
+
+            if (d.kind === "schedule") {
+                await editSchedule(d.scheduleId, (s) =>
+                    s.status === "pending_approval" && s.approvalDraftId === d.id ? { status: "rejected" } : null
+                ).catch((err) => logFullError(`schedule rejection failed (${d.scheduleId}):`, err));
+            }
+            if (Number(d.requestedBy) !== Number(d.decidedBy)) {
+                await bot.sendMessage(d.requestedBy, `Draft ${d.id} was ${draftStatusLabel(d)}.`).catch(() => { });
+            }
             return;
         }
 
-        if (state.step === "waiting_for_schedule_once_at") {
-            const dt = parseDateTimeLocal(msg.text || "");
-            if (!dt || dt.getTime() <= Date.now()) {
-                await bot.sendMessage(chatId, "Invalid datetime. Use: YYYY-MM-DD HH:mm in Riga time (future time).");
-                return;
-            }
+        if (data === "bc_ab_add") {
+            if (!state || state.step !== "choosing_delivery") return;
+            const variants = [...(state.variants || []), state.payload];
+            if (variants.length >= MAX_VARIANTS) return;
 
-            const id = makeId();
-            scheduledBroadcasts.set(id, {
-                id,
-                adminChatId: chatId,
-                payload: state.payload,
-                mode: "once",
-                nextRunAt: dt.getTime(),
-                dailyTime: null,
-                status: "active",
-                createdAt: Date.now(),
-                lastRunAt: null,
+            broadcastState.set(chatId, {
+                step: "waiting_for_message",
+                variants,
+                segment: state.segment,
+                audienceSize: state.audienceSize,
             });
+            await bot.sendMessage(chatId, `Send the message for variant ${VARIANT_KEYS[variants.length]}.`);
+            return;
+        }
 
+        if (data.startsWith("bc_ab_send:")) {
+            if (!state || state.step !== "choosing_delivery" || !state.variants?.length) return;
+            const pct = Number(data.slice("bc_ab_send:".length));
+            if (!(pct > 0 && pct <= 100)) return;
+
+            const variants = [...state.variants, state.payload].map((payload, i) => ({
+                key: VARIANT_KEYS[i],
+                payload,
+                payloadPreview: payloadPreviewText(payload),
+            }));
             broadcastState.delete(chatId);
-            await bot.sendMessage(chatId, `Scheduled (one-time).\nID: ${id}\nRun at: ${fmtTs(dt.getTime())}`);
+
+            if (APPROVAL_REQUIRED) {
+                try {
+                    await requestApproval(chatId, callbackQuery.from, {
+                        kind: "now",
+                        payload: variants[0].payload,
+                        variants,
+                        testShare: pct / 100,
+                        segment: state.segment,
+                        audienceSize: state.audienceSize,
+                    });
+                } catch (err) {
+                    logFullError("requestApproval failed:", err);
+                    await bot.sendMessage(chatId, "Failed to save the draft for approval. Please try again.");
+                }
+                return;
+            }
+
+            await bot.sendMessage(chatId, `Starting A/B test with ${variants.length} variants on ${pct}% of the audience…`);
+            try {
+                const result = await sendBroadcastNow(variants[0].payload, {
+                    adminChatId: chatId,
+                    segment: state.segment,
+                    variants,
+                    testShare: pct / 100,
+                    startedBy: callbackQuery.from?.id ?? chatId,
+                    startedByUsername: callbackQuery.from?.username || "",
+                });
+                await bot.sendMessage(chatId, `A/B test ${result.status}.\n${broadcastResultText(result)}`, {
+                    reply_markup: {
+                        inline_keyboard: [[{ text: "Compare variants", callback_data: `bc_report:${result.id}` }]],
+                    },
+                });
+            } catch (err) {
+                await bot.sendMessage(chatId, `A/B test failed: ${String(err.message || err)}`);
+            }
             return;
         }
 
-        if (state.step === "waiting_for_schedule_daily_at") {
-            const t = parseHHMM(msg.text || "");
-            if (!t) {
-                await bot.sendMessage(chatId, "Invalid time. Use HH:mm (24h) in Riga time, e.g. 09:30");
+        if (data.startsWith("bc_ab_rollout:")) {
+            const [testId, key] = data.slice("bc_ab_rollout:".length).split(":");
+
+            if (APPROVAL_REQUIRED) {
+                try {
+                    const test = await getBroadcast(testId);
+                    const winner = test?.variants?.find((v) => v.key === key);
+                    const open = test?.status === "completed" && test.abTest?.testShare < 1 && !test.rolloutBroadcastId;
+                    if (!winner || !open) {
+                        await bot.sendMessage(chatId, "This test cannot be rolled out (unfinished or already rolled out).");
+                        return;
+                    }
+                    await requestApproval(chatId, callbackQuery.from, {
+                        kind: "now",
+                        payload: winner.payload,
+                        segment: test.segment || { type: "all" },
+                        rolloutOf: { broadcastId: test.id, variant: key },
+                    });
+                } catch (err) {
+                    logFullError("requestApproval failed:", err);
+                    await bot.sendMessage(chatId, "Failed to save the draft for approval. Please try again.");
+                }
                 return;
             }
 
-            const id = makeId();
-            scheduledBroadcasts.set(id, {
-                id,
-                adminChatId: chatId,
-                payload: state.payload,
-                mode: "daily",
-                nextRunAt: nextDailyRunAt(t.hh, t.mm),
-                dailyTime: t.label,
-                status: "active",
-                createdAt: Date.now(),
-                lastRunAt: null,
+            await runRollout(chatId, testId, key, {
+                startedBy: callbackQuery.from?.id ?? chatId,
+                startedByUsername: callbackQuery.from?.username || "",
             });
+            return;
+        }
 
-            broadcastState.delete(chatId);
-            await bot.sendMessage(chatId, `Scheduled (daily).\nID: ${id}\nNext run: ${fmtTs(scheduledBroadcasts.get(id).nextRunAt)}`);
+        if (data === "bc_add_buttons") {
+            if (!state || state.step !== "choosing_button_option") return;
+            await showButtonBuilder(chatId, { ...state.payload, buttons: [] }, 0);
             return;
         }
 
-        if (state.step === "waiting_for_edit_time") {
-            const s = scheduledBroadcasts.get(state.scheduleId);
-            if (!s || s.adminChatId !== chatId || s.status !== "active") {
-                broadcastState.delete(chatId);
-                await bot.sendMessage(chatId, "Schedule no longer available.");
-                return;
-            }
+        if (data === "bc_no_buttons") {
+            if (!state || state.step !== "choosing_button_option") return;
+            await finishDraftPayload(chatId, state);
+            return;
+        }
 
-            if (s.mode === "once") {
-                const dt = parseDateTimeLocal(msg.text || "");
-                if (!dt || dt.getTime() <= Date.now()) {
-                    await bot.sendMessage(chatId, "Invalid datetime. Use: YYYY-MM-DD HH:mm in Riga time (future time).");
-                    return;
-                }
-                s.nextRunAt = dt.getTime();
-            } else {
-                const t = parseHHMM(msg.text || "");
-                if (!t) {
-                    await bot.sendMessage(chatId, "Invalid time. Use HH:mm (24h) in Riga time, e.g. 09:30");
-                    return;
-                }
-                s.dailyTime = t.label;
-                s.nextRunAt = nextDailyRunAt(t.hh, t.mm);
+        if (data.startsWith("bc_btn_add:")) {
+            if (!state || state.step !== "building_buttons") return;
+            const buttonType = data.slice("bc_btn_add:".length);
+            const inRow = (state.payload.buttons || []).filter((b) => b.row === state.row).length;
+            if (inRow >= MAX_BUTTONS_PER_ROW) {
+                await showButtonBuilder(chatId, state.payload, state.row, `Row ${state.row + 1} is full. Start a new row.`);
+                return;
             }
 
-            broadcastState.delete(chatId);
-            await bot.sendMessage(chatId, `Schedule updated.\n${scheduleSummary(s)}`);
+            broadcastState.set(chatId, { ...state, step: "waiting_for_button_text", buttonType });
+            await bot.sendMessage(chatId, "Send button text (for example: Play Now).");
             return;
         }
 
-        if (state.step === "waiting_for_replace_message") {
-            const s = scheduledBroadcasts.get(state.scheduleId);
-            if (!s || s.adminChatId !== chatId || s.status !== "active") {
-                broadcastState.delete(chatId);
-                await bot.sendMessage(chatId, "Schedule no longer available.");
+        if (data === "bc_btn_row") {
+            if (!state || state.step !== "building_buttons") return;
+            const buttons = state.payload.buttons || [];
+            if (!buttons.some((b) => b.row === state.row)) {
+                await showButtonBuilder(chatId, state.payload, state.row, "Current row is empty. Add a button first.");
                 return;
             }
-
-            const payload = extractPayload(chatId, msg);
-            if (!isSupportedPayload(payload)) {
-                await bot.sendMessage(chatId, "Unsupported type. Send text/photo/video/document/audio.");
+            if (state.row + 1 >= MAX_BUTTON_ROWS) {
+                await showButtonBuilder(chatId, state.payload, state.row, `Maximum ${MAX_BUTTON_ROWS} rows.`);
                 return;
             }
-
-            s.payload = payload;
-            broadcastState.delete(chatId);
-
-            await bot.sendMessage(chatId, `Message content replaced for schedule ${s.id}.`);
-            await sendPayloadToUser(chatId, s.payload);
+            await showButtonBuilder(chatId, state.payload, state.row + 1);
             return;
         }
-    });
-
-    // Callback actions
-    bot.on("callback_query", async (callbackQuery) => {
-        const chatId = callbackQuery.message?.chat?.id;
-        const data = callbackQuery.data || "";
-        if (!chatId || !isAdmin(chatId)) return;
 
-        if (callbackQuery.id) {
-            bot.answerCallbackQuery(callbackQuery.id).catch(() => { });
+        if (data === "bc_btn_undo") {
+            if (!state || state.step !== "building_buttons") return;
+            const buttons = (state.payload.buttons || []).slice(0, -1);
+            const row = buttons.length ? buttons[buttons.length - 1].row : 0;
+            await showButtonBuilder(chatId, { ...state.payload, buttons }, row);
+            return;
         }
 
-        const state = broadcastState.get(chatId);
+        if (data === "bc_btn_preview") {
+            if (!state || state.step !== "building_buttons") return;
+            try {
+                await sendPayloadToUser(chatId, state.payload);
+            } catch (err) {
+                logFullError("button preview failed:", err);
+                await bot.sendMessage(chatId, `Preview failed: ${telegramErrorInfo(err).description}`);
+            }
+            await showButtonBuilder(chatId, state.payload, state.row);
+            return;
+        }
 
-        if (data === "bc_cancel_draft") {
-            broadcastState.delete(chatId);
-            await bot.sendMessage(chatId, "Draft cancelled.");
+        if (data === "bc_btn_done") {
+            if (!state || state.step !== "building_buttons") return;
+            const buttons = state.payload.buttons || [];
+            const intro = buttons.length ? `Buttons:\n${describeButtons(buttons)}\n` : "No buttons added.";
+            await finishDraftPayload(chatId, state, intro);
             return;
         }
 
-        if (data === "bc_send_now") {
+        if (data === "bc_change_segment") {
             if (!state || state.step !== "choosing_delivery") return;
+            await askForSegment(chatId, state);
+            return;
+        }
 
-            const payload = state.payload;
-            broadcastState.delete(chatId);
+        if (data.startsWith("bc_segment:")) {
+            if (!state || state.step !== "choosing_segment") return;
+            const segmentType = data.slice("bc_segment:".length);
+            if (!SEGMENT_TYPES.some((t) => t.id === segmentType)) return;
 
-            try {
-                const result = await sendBroadcastNow(payload);
-                await bot.sendMessage(chatId, `Broadcast completed. Delivered to ${result.sent} users.`);
-            } catch (err) {
-                await bot.sendMessage(chatId, `Broadcast failed: ${String(err.message || err)}`);
+            if (segmentType === "all") {
+                await applySegment(chatId, state, { type: "all" });
+                return;
             }
+
+            broadcastState.set(chatId, { ...state, step: "waiting_for_segment_value", segmentType });
+            await bot.sendMessage(chatId, SEGMENT_PROMPTS[segmentType]);
             return;
         }
 
-        if (data === "bc_add_url_yes") {
-            if (!state || state.step !== "choosing_button_option") return;
-            broadcastState.set(chatId, { step: "waiting_for_button_text", payload: state.payload });
-            await bot.sendMessage(chatId, "Send button text (for example: Play Now).");
+        if (data === "bc_schedule_repeat") {
+            if (!state || state.step !== "choosing_delivery" || state.variants?.length) return;
+            await bot.sendMessage(chatId, "How should it repeat?", { reply_markup: repeatModeKeyboard() });
             return;
         }
 
-        if (data === "bc_add_url_no") {
-            if (!state || state.step !== "choosing_button_option") return;
-            broadcastState.set(chatId, { step: "choosing_delivery", payload: state.payload });
-            await bot.sendMessage(chatId, "Choose delivery mode:", {
-                reply_markup: sendModeKeyboard(),
+        if (
+            data === "bc_schedule_once" ||
+            data === "bc_schedule_daily" ||
+            data === "bc_schedule_weekly" ||
+            data === "bc_schedule_interval"
+        ) {
+            if (!state || state.step !== "choosing_delivery" || state.variants?.length) return;
+            const mode = data.slice("bc_schedule_".length);
+            broadcastState.set(chatId, {
+                step: "waiting_for_schedule_at",
+                mode,
+                payload: state.payload,
+                segment: state.segment,
             });
+            await bot.sendMessage(chatId, schedulePrompt(mode));
             return;
         }
 
-        if (data === "bc_schedule_once") {
-            if (!state || state.step !== "choosing_delivery") return;
-            broadcastState.set(chatId, { step: "waiting_for_schedule_once_at", payload: state.payload });
-            await bot.sendMessage(chatId, "Send datetime in format: YYYY-MM-DD HH:mm (Riga time)");
+        if (data === "sched_list") {
+            await showScheduledList(chatId);
             return;
         }
 
-        if (data === "bc_schedule_daily") {
-            if (!state || state.step !== "choosing_delivery") return;
-            broadcastState.set(chatId, { step: "waiting_for_schedule_daily_at", payload: state.payload });
-            await bot.sendMessage(chatId, "Send daily time in format: HH:mm (24h, Riga time)");
+        if (data === "bc_history") {
+            await showBroadcastHistory(chatId);
             return;
         }
 
-        if (data === "sched_list") {
-            await showScheduledList(chatId);
+        if (data.startsWith("bc_report:")) {
+            const broadcastId = data.slice("bc_report:".length);
+            await showBroadcastReport(chatId, broadcastId);
             return;
         }
 
@@ -848,37 +3754,94 @@ export function initTelegramBot(app) {
 
         if (data.startsWith("sched_cancel:")) {
             const scheduleId = data.slice("sched_cancel:".length);
-            const s = scheduledBroadcasts.get(scheduleId);
-            if (!s || s.adminChatId !== chatId || s.status !== "active") {
+            let r = null;
+            try {
+                r = await editOwnSchedule(chatId, scheduleId, () => ({ status: "cancelled" }));
+            } catch (err) {
+                logFullError("cancel schedule failed:", err);
+                await bot.sendMessage(chatId, "Failed to cancel the schedule. Please try again.");
+                return;
+            }
+            if (!r) {
                 await bot.sendMessage(chatId, "Schedule not found.");
                 return;
             }
-            s.status = "cancelled";
             await bot.sendMessage(chatId, `Schedule ${scheduleId} cancelled.`);
             return;
         }
 
         if (data.startsWith("sched_edit:")) {
             const scheduleId = data.slice("sched_edit:".length);
-            const s = scheduledBroadcasts.get(scheduleId);
-            if (!s || s.adminChatId !== chatId || s.status !== "active") {
+            const s = await getOwnActiveSchedule(chatId, scheduleId);
+            if (!s) {
+                await bot.sendMessage(chatId, "Schedule not found.");
+                return;
+            }
+
+            const rows = [
+                [{ text: "Time", callback_data: `sched_edit_time:${s.id}` }],
+                [{ text: "Time zone", callback_data: `sched_edit_tz:${s.id}` }],
+            ];
+            if (s.mode !== "once") {
+                rows.push(
+                    [{ text: "End date", callback_data: `sched_end:${s.id}` }],
+                    [{ text: "Max runs", callback_data: `sched_runs:${s.id}` }]
+                );
+            }
+            rows.push([{ text: "Back", callback_data: `sched_open:${s.id}` }]);
+
+            await bot.sendMessage(chatId, `${scheduleSummary(s)}\nWhat do you want to change?`, {
+                reply_markup: { inline_keyboard: rows },
+            });
+            return;
+        }
+
+        if (
+            data.startsWith("sched_edit_time:") ||
+            data.startsWith("sched_edit_tz:") ||
+            data.startsWith("sched_end:") ||
+            data.startsWith("sched_runs:")
+        ) {
+            const [action, scheduleId] = data.split(":");
+            const s = await getOwnActiveSchedule(chatId, scheduleId);
+            if (!s) {
                 await bot.sendMessage(chatId, "Schedule not found.");
                 return;
             }
 
-            broadcastState.set(chatId, { step: "waiting_for_edit_time", scheduleId });
-            if (s.mode === "once") {
-                await bot.sendMessage(chatId, "Send new datetime: YYYY-MM-DD HH:mm (Riga time)");
+            const tz = scheduleTimeZone(s);
+            if (action === "sched_edit_time") {
+                broadcastState.set(chatId, { step: "waiting_for_edit_time", scheduleId });
+                await bot.sendMessage(chatId, `Current: ${scheduleSummary(s)}\n${schedulePrompt(s.mode, tz)}`);
+            } else if (action === "sched_edit_tz") {
+                broadcastState.set(chatId, { step: "waiting_for_edit_timezone", scheduleId });
+                await bot.sendMessage(chatId, `Current time zone: ${tz}\nSend new time zone (IANA name, e.g. Europe/Berlin or UTC).`);
+            } else if (action === "sched_end") {
+                broadcastState.set(chatId, { step: "waiting_for_edit_end", scheduleId });
+                await bot.sendMessage(chatId, `Send end date: YYYY-MM-DD or YYYY-MM-DD HH:mm (${tz}), or none.`);
             } else {
-                await bot.sendMessage(chatId, "Send new daily time: HH:mm (Riga time)");
+                broadcastState.set(chatId, { step: "waiting_for_edit_max_runs", scheduleId });
+                await bot.sendMessage(chatId, `Runs so far: ${s.runCount || 0}\nSend max number of runs, or none.`);
+            }
+            return;
+        }
+
+        if (data.startsWith("sched_segment:")) {
+            const scheduleId = data.slice("sched_segment:".length);
+            const s = await getOwnActiveSchedule(chatId, scheduleId);
+            if (!s) {
+                await bot.sendMessage(chatId, "Schedule not found.");
+                return;
             }
+
+            await askForSegment(chatId, { scheduleId }, `Current audience: ${describeSegment(s.segment)}\nChoose new audience:`);
             return;
         }
 
         if (data.startsWith("sched_replace:")) {
             const scheduleId = data.slice("sched_replace:".length);
-            const s = scheduledBroadcasts.get(scheduleId);
-            if (!s || s.adminChatId !== chatId || s.status !== "active") {
+            const s = await getOwnActiveSchedule(chatId, scheduleId);
+            if (!s) {
                 await bot.sendMessage(chatId, "Schedule not found.");
                 return;
             }
@@ -0,0 +1,111 @@
+import { db } from "./firebase.js";
+
+// Placeholders in broadcast text/captions, resolved per recipient at send time.
+// "{first_name|friend}" falls back to "friend" when the user has no first name.
+export const TEMPLATE_VARIABLES = ["first_name", "username", "favorite_provider", "new_games_count"];
+export const NEW_GAMES_DAYS = 7;
+
+const PLACEHOLDER_RE = /\{(first_name|username|favorite_provider|new_games_count)(?:\|([^{}\n]{0,64}))?\}/g;
+const DEFAULT_FALLBACKS = {
+    first_name: "friend",
+    username: "friend",
+    favorite_provider: "your favorite provider",
+    new_games_count: "0",
+};
+
+function payloadTexts(payload) {
+    return [payload?.text, payload?.caption, ...(payload?.mediaGroup || []).map((m) => m.caption)].filter(Boolean);
+}
+
+// Names of the variables a payload uses (empty when it can be copied verbatim).
+export function templateVariablesIn(payload) {
+    const used = new Set();
+    for (const text of payloadTexts(payload)) {
+        for (const m of String(text).matchAll(PLACEHOLDER_RE)) used.add(m[1]);
+    }
+    return [...used];
+}
+
+function favoriteProvider(user) {
+    let best = null;
+    for (const [provider, n] of Object.entries(user?.providerOpens || {})) {
+        if (!best || n > best.n) best = { provider, n };
+    }
+    return best?.provider || "";
+}
+
+// shared = { newGamesCount } (loaded once per broadcast with loadTemplateShared)
+export function templateVarsForUser(user, shared = {}) {
+    return {
+        first_name: String(user?.firstName || "").trim(),
+        username: String(user?.username || "").trim(),
+        favorite_provider: favoriteProvider(user),
+        new_games_count: Number.isFinite(shared.newGamesCount) ? String(shared.newGamesCount) : "",
+    };
+}
+
+export async function loadTemplateShared(variables) {
+    if (!variables.includes("new_games_count")) return {};
+
+    const since = Date.now() - NEW_GAMES_DAYS * 24 * 60 * 60 * 1000;
+    const snap = await db().collection("games").where("createdAtTs", ">=", since).get();
+    return { newGamesCount: snap.docs.filter((d) => d.data().enabled === true).length };
+}
+
+// Replaces placeholders and moves entity offsets (UTF-16, like JS strings) to match the new text.
+// An entity that contains a placeholder grows or shrinks with it.
+export function renderTemplate(text, entities, vars) {
+    if (!text) return { text, entities };
+
+    const replacements = [];
+    let out = "";
+    let last = 0;
+    for (const m of text.matchAll(PLACEHOLDER_RE)) {
+        const value = vars[m[1]] || (m[2] !== undefined ? m[2] : DEFAULT_FALLBACKS[m[1]]);
+        out += text.slice(last, m.index) + value;
+        replacements.push({ start: m.index, end: m.index + m[0].length, newLen: value.length });
+        last = m.index + m[0].length;
+    }
+    if (!replacements.length) return { text, entities };
+    out += text.slice(last);
+
+    const mapPos = (p, isEnd) => {
+        let shift = 0;
+        for (const r of replacements) {
+            if (r.end <= p) shift += r.newLen - (r.end - r.start);
+            else if (r.start < p) return r.start + shift + (isEnd ? r.newLen : 0);
+            else break;
+        }
+        return p + shift;
+    };
+
+    const moved = (entities || [])
+        .map((e) => {
+            const offset = mapPos(e.offset, false);
+            return { ...e, offset, length: mapPos(e.offset + e.length, true) - offset };
+        })
+        .filter((e) => e.length > 0);
+
+    return { text: out, entities: entities ? moved : entities };
+}
+
+// Copy of the payload with placeholders resolved; it can no longer be sent with copyMessage.
+export function renderPayload(payload, vars) {
+    const text = renderTemplate(payload.text, payload.textEntities, vars);
+    const caption = renderTemplate(payload.caption, payload.captionEntities, vars);
+
+    return {
+        ...payload,
+        sourceMessageId: null,
+        text: text.text,
+        textEntities: text.entities,
+        caption: caption.text,
+        captionEntities: caption.entities,
+        mediaGroup: payload.mediaGroup
+            ? payload.mediaGroup.map((m) => {
+                const c = renderTemplate(m.caption, m.captionEntities, vars);
+                return { ...m, caption: c.text, captionEntities: c.entities };
+            })
+            : payload.mediaGroup,
+    };
+}
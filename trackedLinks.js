@@ -0,0 +1,115 @@
+import crypto from "node:crypto";
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+
+const CLICKS_COLLECTION = "linkClicks";
+const LINK_CACHE_TTL_MS = 10 * 60 * 1000;
+const LINK_CACHE_MAX = 1000;
+const linkCache = new Map(); // broadcastId -> { ts, targets } (targets null: no such broadcast)
+
+// URL buttons of a payload in the order their tracked codes are numbered.
+// web_app and callback buttons are not links and are never rewritten.
+export function trackedLinkTargets(payload) {
+    if (Array.isArray(payload?.buttons) && payload.buttons.length) {
+        return payload.buttons.filter((b) => b.type === "url" && b.url);
+    }
+    return payload?.ctaButton?.url ? [payload.ctaButton] : [];
+}
+
+// Code is "<broadcastId>-<variant><n>" (variant only for A/B tests, e.g. "abc123-B0"),
+// so no extra doc has to be written when a broadcast starts.
+export function trackedLinkCode(broadcastId, index, variant = null) {
+    return `${broadcastId}-${variant || ""}${index}`;
+}
+
+function parseTrackedLinkCode(code) {
+    const m = String(code || "").match(/^([a-z0-9]+)-([A-Z]?)(\d{1,2})$/);
+    return m ? { broadcastId: m[1], variant: m[2] || null, index: Number(m[3]) } : null;
+}
+
+// variant key ("" for the main payload) -> tracked URLs of that payload
+function linkTargetsOf(broadcast) {
+    const targets = { "": trackedLinkTargets(broadcast.payload).map((b) => b.url) };
+    for (const v of broadcast.variants || []) {
+        targets[v.key] = trackedLinkTargets(v.payload).map((b) => b.url);
+    }
+    return targets;
+}
+
+// Dedicated key for per-user links (TG_LINK_SIGNING_SECRET). Without it links carry no user id
+// and clicks are counted anonymously; nothing is ever signed with an empty key.
+function linkSecret() {
+    return String(process.env.TG_LINK_SIGNING_SECRET || "").trim();
+}
+
+// Short HMAC so the user id in a link cannot be forged to inflate another user's clicks.
+function signLinkUser(code, userId) {
+    const secret = linkSecret();
+    if (!secret) throw new Error("TG_LINK_SIGNING_SECRET is not set");
+    return crypto.createHmac("sha256", secret).update(`${code}:${userId}`).digest("base64url").slice(0, 12);
+}
+
+export function trackedLinkUrl(baseUrl, code, userId) {
+    const u = new URL(`${baseUrl}/r/${code}`);
+    if (userId && linkSecret()) {
+        u.searchParams.set("u", String(userId));
+        u.searchParams.set("s", signLinkUser(code, userId));
+    }
+    return u.toString();
+}
+
+// Returns the user id from ?u= when its signature matches, otherwise null.
+export function verifiedLinkUser(code, userId, sig) {
+    const id = Number(userId);
+    if (!Number.isSafeInteger(id) || !sig || !linkSecret()) return null;
+
+    const expected = signLinkUser(code, id);
+    if (expected.length !== String(sig).length) return null;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(sig))) ? id : null;
+}
+
+// Resolves a code to { broadcastId, variant, url } or null when the broadcast/button does not exist.
+export async function resolveTrackedLink(code) {
+    const parsed = parseTrackedLinkCode(code);
+    if (!parsed) return null;
+
+    let cached = linkCache.get(parsed.broadcastId);
+    if (!cached || Date.now() - cached.ts > LINK_CACHE_TTL_MS) {
+        const snap = await db().collection("broadcasts").doc(parsed.broadcastId).get();
+        cached = { ts: Date.now(), targets: snap.exists ? linkTargetsOf(snap.data()) : null };
+        // Re-inserting keeps the Map in fetch order, so the first key is the oldest entry.
+        linkCache.delete(parsed.broadcastId);
+        if (linkCache.size >= LINK_CACHE_MAX) linkCache.delete(linkCache.keys().next().value);
+        linkCache.set(parsed.broadcastId, cached);
+    }
+    if (!cached.targets) return null;
+
+    const url = cached.targets[parsed.variant || ""]?.[parsed.index];
+    return url ? { broadcastId: parsed.broadcastId, variant: parsed.variant, url } : null;
+}
+
+// Logs the click and bumps broadcasts/<id>.clicks (and variantClicks.<key> for A/B tests);
+// `unique` counts each known user once.
+export async function recordLinkClick({ code, broadcastId, variant = null, url, userId = null }) {
+    const firestore = db();
+    const now = Date.now();
+    const broadcastRef = firestore.collection("broadcasts").doc(String(broadcastId));
+
+    await firestore.collection(CLICKS_COLLECTION).add({ code, broadcastId, variant, url, userId, at: now });
+
+    let unique = false;
+    if (userId) {
+        try {
+            await broadcastRef.collection("clickers").doc(String(userId)).create({ userId, code, at: now });
+            unique = true;
+        } catch (e) {
+            if (e?.code !== 6) throw e; // 6 = ALREADY_EXISTS
+        }
+    }
+
+    const clicks = { total: FieldValue.increment(1) };
+    if (unique) clicks.unique = FieldValue.increment(1);
+    const patch = { clicks, lastClickAt: now };
+    if (variant) patch.variantClicks = { [variant]: clicks };
+    await broadcastRef.set(patch, { merge: true });
+}
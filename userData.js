@@ -0,0 +1,123 @@
+import { FieldValue } from "firebase-admin/firestore";
+import { db } from "./firebase.js";
+
+// Everything stored about one Telegram user:
+//   users/<id>                          profile, consent, sources, referrals, game history (providerOpens, lastGameId)
+//   linkClicks (userId == id)           tracked link clicks
+//   broadcasts/<b>/sent/<chunk>         message ids of recent broadcasts (userIds contains id)
+//   broadcasts/<b>/clickers/<id>        first tracked click per broadcast
+//   users (referredBy == id)            invitees point back at their referrer
+//   gameShares (lastSharedBy == id)     last sharer of a game in inline mode
+// Aggregate counters (broadcast counts, daily source totals) hold no user ids and are kept.
+
+const CLICKS_COLLECTION = "linkClicks";
+const GET_ALL_CHUNK = 300;
+const BATCH_SIZE = 400;
+
+// clickers/<id> of every broadcast; broadcast ids are listed without reading the docs.
+async function broadcastClickers(userId) {
+    const firestore = db();
+    const broadcastRefs = await firestore.collection("broadcasts").listDocuments();
+    const refs = broadcastRefs.map((b) => b.collection("clickers").doc(String(userId)));
+
+    const snaps = [];
+    for (let i = 0; i < refs.length; i += GET_ALL_CHUNK) {
+        snaps.push(...(await firestore.getAll(...refs.slice(i, i + GET_ALL_CHUNK))));
+    }
+    return snaps.filter((s) => s.exists);
+}
+
+// Sent chunks naming the user; only broadcasts that still keep them (see purgeSentRecords) are searched.
+async function sentChunks(userId) {
+    const kept = await db().collection("broadcasts").where("sentRecords", "==", "kept").select().get();
+    const chunks = [];
+    for (const b of kept.docs) {
+        const snap = await b.ref.collection("sent").where("userIds", "array-contains", userId).get();
+        chunks.push(...snap.docs);
+    }
+    return chunks;
+}
+
+function ownRecords(chunk, userId) {
+    return (chunk.data().records || []).filter((r) => Number(r.userId) === userId);
+}
+
+function plain(snap) {
+    return { id: snap.id, ...snap.data() };
+}
+
+// JSON-ready copy of the user's data; null when nothing is stored.
+export async function exportUserData(userId) {
+    const firestore = db();
+    const id = Number(userId);
+
+    const [userSnap, clicksSnap, invitedSnap, clickers, chunks] = await Promise.all([
+        firestore.collection("users").doc(String(id)).get(),
+        firestore.collection(CLICKS_COLLECTION).where("userId", "==", id).get(),
+        firestore.collection("users").where("referredBy", "==", id).count().get(),
+        broadcastClickers(id),
+        sentChunks(id),
+    ]);
+
+    const chunkRecords = chunks.flatMap((c) =>
+        ownRecords(c, id).map((r) => ({ broadcastId: c.ref.parent.parent.id, ...r, at: c.data().at }))
+    );
+
+    const data = {
+        exportedAt: new Date().toISOString(),
+        userId: id,
+        profile: userSnap.exists ? userSnap.data() : null,
+        invitedUsers: invitedSnap.data().count,
+        linkClicks: clicksSnap.docs.map(plain),
+        receivedBroadcasts: chunkRecords,
+        broadcastClicks: clickers.map((s) => ({ broadcastId: s.ref.parent.parent.id, ...s.data() })),
+    };
+
+    const empty = !data.profile && !data.linkClicks.length && !data.receivedBroadcasts.length && !data.broadcastClicks.length;
+    return empty ? null : data;
+}
+
+// Erases the user's data (see the list at the top). Returns what was removed.
+export async function deleteUserData(userId) {
+    const firestore = db();
+    const id = Number(userId);
+
+    const [clicksSnap, invitedSnap, sharesSnap, clickers, chunks] = await Promise.all([
+        firestore.collection(CLICKS_COLLECTION).where("userId", "==", id).get(),
+        firestore.collection("users").where("referredBy", "==", id).get(),
+        firestore.collection("gameShares").where("lastSharedBy", "==", id).get(),
+        broadcastClickers(id),
+        sentChunks(id),
+    ]);
+
+    const userRef = firestore.collection("users").doc(String(id));
+    const existed = (await userRef.get()).exists;
+
+    const ops = [
+        ...clicksSnap.docs.map((d) => (batch) => batch.delete(d.ref)),
+        ...clickers.map((s) => (batch) => batch.delete(s.ref)),
+        ...chunks.map((c) => (batch) =>
+            batch.update(c.ref, {
+                userIds: FieldValue.arrayRemove(id),
+                records: (c.data().records || []).filter((r) => Number(r.userId) !== id),
+            })
+        ),
+        ...invitedSnap.docs.map((d) => (batch) => batch.update(d.ref, { referredBy: FieldValue.delete() })),
+        ...sharesSnap.docs.map((d) => (batch) => batch.update(d.ref, { lastSharedBy: null })),
+    ];
+    for (let i = 0; i < ops.length; i += BATCH_SIZE) {
+        const batch = firestore.batch();
+        for (const op of ops.slice(i, i + BATCH_SIZE)) op(batch);
+        await batch.commit();
+    }
+    // Last, so a failed run can be repeated with the same user id.
+    await userRef.delete();
+
+    return {
+        userId: id,
+        user: existed,
+        linkClicks: clicksSnap.size,
+        broadcastRecords: clickers.length + chunks.reduce((n, c) => n + ownRecords(c, id).length, 0),
+        invitesUnlinked: invitedSnap.size,
+    };
+}
@@ -0,0 +1,42 @@
+import crypto from "node:crypto";
+
+// Validates Telegram.WebApp.initData sent by the mini app.
+// See https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+// Returns { user, authDate, startParam } or null if the signature is missing/invalid/expired.
+export function verifyWebAppInitData(initData, botToken, maxAgeSec = 24 * 60 * 60) {
+    const params = new URLSearchParams(String(initData || ""));
+    const hash = params.get("hash");
+    if (!hash || !botToken) return null;
+    params.delete("hash");
+
+    const dataCheckString = [...params.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([k, v]) => `${k}=${v}`)
+        .join("\n");
+
+    const secret = crypto.createHmac("sha256", "WebAppData").update(botToken).digest();
+    const expected = crypto.createHmac("sha256", secret).update(dataCheckString).digest("hex");
+
+    if (expected.length !== hash.length) return null;
+    if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(hash))) return null;
+
+    const authDate = Number(params.get("auth_date"));
+    if (maxAgeSec && (!authDate || Date.now() / 1000 - authDate > maxAgeSec)) return null;
+
+    let user = null;
+    try {
+        user = JSON.parse(params.get("user") || "null");
+    } catch {
+        // ignore
+    }
+
+    return { user, authDate, startParam: params.get("start_param") || null };
+}
+
+// Reads the X-Telegram-Init-Data header (set by the mini app) and returns the verified user or null.
+export function getWebAppUser(req) {
+    const initData = req.headers["x-telegram-init-data"];
+    if (typeof initData !== "string" || !initData) return null;
+    const verified = verifyWebAppInitData(initData, process.env.TELEGRAM_BOT_TOKEN);
+    return verified?.user?.id ? verified.user : null;
+}
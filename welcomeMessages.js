@@ -0,0 +1,46 @@
+import { db } from "./firebase.js";
+
+// welcomeMessages/<lang>: { lang, payload, updatedAt, updatedBy } where payload has the broadcast
+// composer shape (text/media, entities, buttons). /start picks the user's language_code ("pt-br"),
+// then its base language ("pt"), then WELCOME_FALLBACK_LANG; without any, the built-in message is used.
+export const WELCOME_FALLBACK_LANG = String(process.env.TG_WELCOME_FALLBACK_LANG || "en").toLowerCase();
+
+const WELCOME_COLLECTION = "welcomeMessages";
+const WELCOME_CACHE_TTL_MS = 60 * 1000;
+let welcomeCache = null; // { ts, byLang: Map }
+
+// "EN", "pt-BR" -> "en", "pt-br"; null for anything that is not a language code.
+export function normalizeWelcomeLang(input) {
+    const lang = String(input || "").trim().toLowerCase();
+    return /^[a-z]{2,3}(?:-[a-z0-9]{2,8})?$/.test(lang) ? lang : null;
+}
+
+export async function listWelcomes() {
+    const snap = await db().collection(WELCOME_COLLECTION).get();
+    return snap.docs.map((d) => d.data()).sort((a, b) => a.lang.localeCompare(b.lang));
+}
+
+export async function saveWelcome(lang, payload, updatedBy = null, now = Date.now()) {
+    await db().collection(WELCOME_COLLECTION).doc(lang).set({ lang, payload, updatedAt: now, updatedBy });
+    welcomeCache = null;
+}
+
+export async function deleteWelcome(lang) {
+    await db().collection(WELCOME_COLLECTION).doc(lang).delete();
+    welcomeCache = null;
+}
+
+export async function getWelcomeFor(languageCode) {
+    if (!welcomeCache || Date.now() - welcomeCache.ts > WELCOME_CACHE_TTL_MS) {
+        const list = await listWelcomes();
+        welcomeCache = { ts: Date.now(), byLang: new Map(list.map((w) => [w.lang, w])) };
+    }
+
+    const lang = normalizeWelcomeLang(languageCode);
+    const candidates = [lang, lang?.split("-")[0], WELCOME_FALLBACK_LANG].filter(Boolean);
+    for (const c of candidates) {
+        const w = welcomeCache.byLang.get(c);
+        if (w) return w;
+    }
+    return null;
+}